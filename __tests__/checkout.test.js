@@ -0,0 +1,74 @@
+// Poora PayPal checkout local mock ke against — cart → create order → buyer approve → capture → download
+jest.mock('../config/nodemailer', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ messageId: 'test-message' }),
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { sendEmail } = require('../config/nodemailer');
+const { startTestApp, createCustomer, createProduct, createPayPalCheckout, waitFor } = require('./helpers/testApp');
+
+describe('PayPal checkout against the local mock', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await startTestApp();
+    }, 120000);
+
+    afterAll(async () => {
+        if (ctx) await ctx.stop();
+    });
+
+    test('creates, captures and downloads a purchase', async () => {
+        const { app, paypal } = ctx;
+        const { user, token } = await createCustomer(app);
+        const product = await createProduct();
+        const auth = { Authorization: `Bearer ${token}` };
+
+        const { orderID, approvalUrl } = await createPayPalCheckout(app, token, product);
+        expect(approvalUrl).toBe(`${paypal.url}/checkoutnow?token=${orderID}`);
+
+        // Mock ko server ki catalog price mili, client ki nahi
+        const paypalOrder = paypal.state.orders.get(orderID);
+        expect(paypalOrder.purchase_units[0].amount).toMatchObject({ currency_code: 'USD', value: '9.99' });
+
+        const pending = await mongoose.model('Order').findOne({ providerOrderId: orderID });
+        expect(pending).toMatchObject({ status: 'pending', paymentProvider: 'paypal', totalAmount: 9.99 });
+
+        // Buyer ne approve nahi kiya — capture nahi hota, order pending rehta hai
+        const early = await request(app).post('/api/payment/capture-paypal-order').set(auth).send({ orderID });
+        expect(early.status).toBe(400);
+        expect((await mongoose.model('Order').findById(pending._id)).status).toBe('pending');
+
+        expect(paypal.approve(orderID)).toBe(true);
+
+        const captured = await request(app).post('/api/payment/capture-paypal-order').set(auth).send({ orderID });
+        expect(captured.status).toBe(200);
+        expect(captured.body.order.status).toBe('completed');
+        expect(captured.body.order.providerPaymentId).toMatch(/^CAP/);
+        expect(captured.body.downloadLinks).toHaveLength(1);
+
+        // Dobara capture (double click / retry) — same completed order, koi naya charge nahi
+        const again = await request(app).post('/api/payment/capture-paypal-order').set(auth).send({ orderID });
+        expect(again.status).toBe(200);
+        expect(again.body.order.status).toBe('completed');
+        expect(paypal.state.captures.size).toBe(1);
+
+        // Download link → signed R2 URL par redirect, count badhta hai
+        const { pathname } = new URL(captured.body.downloadLinks[0].url);
+        const download = await request(app).get(pathname);
+        expect(download.status).toBe(302);
+        expect(download.headers.location).toContain('music/test-track.mp3');
+
+        const entitlement = await mongoose.model('Entitlement').findOne({ order: pending._id });
+        expect(entitlement.downloadCount).toBe(1);
+
+        const cart = await request(app).get('/api/cart').set(auth);
+        expect(cart.body.items).toHaveLength(0);
+
+        // Receipt invoice PDF ke saath
+        await waitFor(() => sendEmail.mock.calls.some(([to]) => to === user.email));
+        const [, , , extra] = sendEmail.mock.calls.find(([to]) => to === user.email);
+        expect(extra.attachments[0].contentType).toBe('application/pdf');
+    });
+});
@@ -0,0 +1,87 @@
+// Per-user coupon limit — pending checkouts bhi use ginte hain, isliye parallel checkouts limit cross nahi karte
+jest.mock('../config/nodemailer', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ messageId: 'test-message' }),
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { sendEmail } = require('../config/nodemailer');
+const { releaseCouponReservation } = require('../utils/coupons');
+const { startTestApp, createCustomer, createProduct, fillCart, createPayPalCheckout, waitFor } = require('./helpers/testApp');
+
+describe('Per-user coupon limits', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await startTestApp();
+    }, 120000);
+
+    afterAll(async () => {
+        if (!ctx) return;
+        // Receipts fire-and-forget hain — DB band karne se pehle bhej diye jayein
+        await waitFor(async () => sendEmail.mock.calls.length
+            >= await mongoose.model('Order').countDocuments({ receiptSentAt: { $ne: null } }));
+        await ctx.stop();
+    });
+
+    const createCoupon = (code, rules) => mongoose.model('Coupon').create({ code, discountPercentage: 10, ...rules });
+
+    test('parallel checkouts cannot use a perUserLimit: 1 coupon twice', async () => {
+        const { app, paypal } = ctx;
+        const { user, token } = await createCustomer(app);
+        const product = await createProduct();
+        const coupon = await createCoupon('ONCE10', { perUserLimit: 1 });
+        const auth = { Authorization: `Bearer ${token}` };
+
+        await fillCart(app, token, product, { couponCode: 'ONCE10' });
+        const attempts = await Promise.all([1, 2].map(() => request(app)
+            .post('/api/payment/create-paypal-order')
+            .set(auth)
+            .send({})));
+        expect(attempts.map(res => res.status).sort()).toEqual([200, 400]);
+
+        const { orderID } = attempts.find(res => res.status === 200).body;
+        expect(await mongoose.model('CouponClaim').countDocuments({ coupon: coupon._id, user: user._id })).toBe(1);
+        expect((await mongoose.model('Coupon').findById(coupon._id)).reservedCount).toBe(1);
+
+        // Pending order bhi ek use hai — cart par coupon dobara nahi lagta
+        const again = await request(app)
+            .put('/api/cart')
+            .set(auth)
+            .send({ items: [{ productId: product._id, versionId: product.versions[0]._id }], couponCode: 'ONCE10' });
+        expect(again.status).toBe(400);
+
+        paypal.approve(orderID);
+        const captured = await request(app).post('/api/payment/capture-paypal-order').set(auth).send({ orderID });
+        expect(captured.status).toBe(200);
+        expect(captured.body.order).toMatchObject({ couponStatus: 'redeemed', discountAmount: 1 });
+
+        const redeemed = await mongoose.model('Coupon').findById(coupon._id);
+        expect(redeemed).toMatchObject({ usedCount: 1, reservedCount: 0 });
+        expect(await mongoose.model('CouponRedemption').countDocuments({ coupon: coupon._id, user: user._id })).toBe(1);
+
+        // Capture ke baad cart ka coupon bhi saaf
+        const cart = await request(app).get('/api/cart').set(auth);
+        expect(cart.body.coupon).toBeNull();
+    });
+
+    test('a released reservation gives the use back', async () => {
+        const { app } = ctx;
+        const { token } = await createCustomer(app);
+        const product = await createProduct();
+        const coupon = await createCoupon('FIRSTBUY', { firstOrderOnly: true });
+
+        const { orderID } = await createPayPalCheckout(app, token, product, { couponCode: 'FIRSTBUY' });
+        const order = await mongoose.model('Order').findOne({ providerOrderId: orderID });
+        expect(order.couponStatus).toBe('reserved');
+
+        await expect(fillCart(app, token, product, { couponCode: 'FIRSTBUY' })).rejects.toThrow('400');
+
+        // Abandoned checkout (expiry sweep / failed payment) — claim hat jata hai
+        await releaseCouponReservation(order._id);
+        expect(await mongoose.model('CouponClaim').countDocuments({ coupon: coupon._id })).toBe(0);
+
+        const cart = await fillCart(app, token, product, { couponCode: 'FIRSTBUY' });
+        expect(cart.discountAmount).toBe(1);
+    });
+});
@@ -0,0 +1,102 @@
+// Store credit hold — checkout par kata credit declined/denied payment ya expiry par ek hi baar wapas aata hai
+jest.mock('../config/nodemailer', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ messageId: 'test-message' }),
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { sendEmail } = require('../config/nodemailer');
+const { postCreditEntry, returnExpiredOrderCredit } = require('../utils/credit');
+const {
+    startTestApp,
+    createCustomer,
+    createProduct,
+    createPayPalCheckout,
+    sendPayPalWebhook,
+    waitFor
+} = require('./helpers/testApp');
+
+describe('Store credit hold on PayPal checkout', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await startTestApp();
+    }, 120000);
+
+    afterAll(async () => {
+        if (!ctx) return;
+        // Receipts fire-and-forget hain — DB band karne se pehle bhej diye jayein
+        await waitFor(async () => sendEmail.mock.calls.length
+            >= await mongoose.model('Order').countDocuments({ receiptSentAt: { $ne: null } }));
+        await ctx.stop();
+    });
+
+    // $5 credit wala customer aur uska credit + PayPal checkout ($9.99 track → PayPal par $4.99)
+    async function checkoutWithCredit() {
+        const { user, token } = await createCustomer(ctx.app);
+        await postCreditEntry({ user: user._id, amount: 5, type: 'admin_grant', reason: 'Test credit' });
+
+        const { orderID } = await createPayPalCheckout(ctx.app, token, await createProduct(), { useCredit: true });
+        const order = await mongoose.model('Order').findOne({ providerOrderId: orderID });
+        return { user, token, orderID, order };
+    }
+
+    const balanceOf = async (app, token) => {
+        const res = await request(app).get('/api/credit').set({ Authorization: `Bearer ${token}` });
+        return res.body.balance;
+    };
+
+    test('a declined capture keeps the hold, PAYMENT.CAPTURE.DENIED returns it once', async () => {
+        const { app, paypal } = ctx;
+        const { token, orderID, order } = await checkoutWithCredit();
+
+        expect(order).toMatchObject({ totalAmount: 4.99, creditApplied: 5, creditStatus: 'applied' });
+        expect(paypal.state.orders.get(orderID).purchase_units[0].amount.value).toBe('4.99');
+        expect(await balanceOf(app, token)).toBe(0);
+
+        // Card decline — PayPal order abhi bhi pay ho sakta hai, isliye credit hold mein rehta hai
+        paypal.decline(orderID);
+        const declined = await request(app)
+            .post('/api/payment/capture-paypal-order')
+            .set({ Authorization: `Bearer ${token}` })
+            .send({ orderID });
+        expect(declined.status).toBe(400);
+        expect(await mongoose.model('Order').findById(order._id)).toMatchObject({ status: 'pending', creditStatus: 'applied' });
+        expect(await balanceOf(app, token)).toBe(0);
+
+        const denied = {
+            event_type: 'PAYMENT.CAPTURE.DENIED',
+            resource: { id: 'CAP-DENIED', status: 'DECLINED', supplementary_data: { related_ids: { order_id: orderID } } },
+        };
+        const res = await sendPayPalWebhook(app, { id: `WH-DENIED-${orderID}`, ...denied });
+        expect(res.body.outcome).toBe('failed');
+        expect(await mongoose.model('Order').findById(order._id)).toMatchObject({ status: 'failed', creditStatus: 'returned' });
+        expect(await balanceOf(app, token)).toBe(5);
+
+        // Alag event id ke saath dobara — credit dobara nahi milta
+        const repeat = await sendPayPalWebhook(app, { id: `WH-DENIED-2-${orderID}`, ...denied });
+        expect(repeat.body.outcome).toBe('already_final');
+        expect(await balanceOf(app, token)).toBe(5);
+        expect(await mongoose.model('CreditTransaction').countDocuments({ order: order._id, type: 'order_release' })).toBe(1);
+    });
+
+    test('an abandoned checkout gets its credit back, a late capture takes it again', async () => {
+        const { app, paypal } = ctx;
+        const { token, orderID, order } = await checkoutWithCredit();
+
+        await mongoose.model('Order').updateOne({ _id: order._id }, { createdAt: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+        expect(await returnExpiredOrderCredit()).toBe(1);
+        expect(await returnExpiredOrderCredit()).toBe(0);
+        expect(await balanceOf(app, token)).toBe(5);
+
+        // Buyer ne baad mein pay kiya — order complete, credit phir se kata
+        paypal.approve(orderID);
+        const captured = await request(app)
+            .post('/api/payment/capture-paypal-order')
+            .set({ Authorization: `Bearer ${token}` })
+            .send({ orderID });
+        expect(captured.status).toBe(200);
+        expect(captured.body.order).toMatchObject({ status: 'completed', creditStatus: 'applied' });
+        expect(await balanceOf(app, token)).toBe(0);
+    });
+});
@@ -0,0 +1,131 @@
+// Integration test setup — local PayPal mock + in-memory MongoDB, phir server.js ka app (bina listen ke)
+// MongoDB kahan se (README "Running tests" dekho):
+//   MONGO_TEST_URI=mongodb://...        — in-memory server ki jagah woh database (alag test DB do — tests ke baad drop hota hai)
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod — in-memory server installed mongod chalata hai, fastdl.mongodb.org se download nahi
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { startPayPalMock } = require('../../mocks/paypal');
+
+// .env se pehle set — dotenv already set values override nahi karta
+const TEST_ENV = {
+    NODE_ENV: 'test',
+    PAYPAL_ENVIRONMENT: 'custom',
+    PAYPAL_CLIENT_ID: 'test-client-id',
+    PAYPAL_CLIENT_SECRET: 'test-client-secret',
+    PAYPAL_WEBHOOK_ID: 'WH-TEST',
+    JWT_SECRET: 'test-jwt-secret',
+    CLOUDFLARE_ACCOUNT_ID: 'test-account',
+    R2_ACCESS_KEY: 'test-access-key',
+    R2_SECRET_KEY: 'test-secret-key',
+    R2_BUCKET_NAME: 'test-bucket',
+};
+
+async function startTestApp() {
+    const paypal = await startPayPalMock();
+    Object.assign(process.env, TEST_ENV, { PAYPAL_API_BASE: paypal.url });
+
+    let mongod = null;
+    try {
+        if (!process.env.MONGO_TEST_URI) mongod = await MongoMemoryServer.create();
+        await mongoose.connect(process.env.MONGO_TEST_URI || mongod.getUri('waslerr-test'));
+    } catch (err) {
+        // Mongo start/connect nahi hua — mock band karo warna jest open handle par atak jata hai
+        if (mongod) await mongod.stop();
+        await paypal.close();
+        if (!process.env.MONGO_TEST_URI && !process.env.MONGOMS_SYSTEM_BINARY) {
+            const hint = 'Offline? Set MONGO_TEST_URI or MONGOMS_SYSTEM_BINARY (see README "Running tests")';
+            throw new Error(`${err.message}\n${hint}`, { cause: err });
+        }
+        throw err;
+    }
+
+    const app = require('../../server');
+    // Unique indexes (WebhookEvent.eventId, Invoice.number...) tests ke pehle bane hon
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+
+    const stop = async () => {
+        await mongoose.connection.dropDatabase();
+        await mongoose.disconnect();
+        if (mongod) await mongod.stop();
+        await paypal.close();
+    };
+
+    return { app, paypal, stop };
+}
+
+let customerCount = 0;
+
+// Verified customer — login route se token
+async function createCustomer(app) {
+    customerCount += 1;
+    const email = `buyer${customerCount}-${Date.now()}@example.com`;
+    const password = 'test-password';
+    const user = await mongoose.model('User').create({ name: 'Test Buyer', email, password, emailVerified: true });
+
+    const res = await request(app).post('/api/auth/login').send({ email, password });
+    if (res.status !== 200) throw new Error(`Login failed: ${res.status} ${JSON.stringify(res.body)}`);
+    return { user, token: res.body.token };
+}
+
+// Ek fixed-price version wala product (USD)
+const createProduct = (overrides = {}) => mongoose.model('Product').create({
+    title: 'Test Track',
+    description: 'Integration test product',
+    artist: 'Test Artist',
+    versions: [{ name: 'MP3', price: 9.99, r2MusicFile: 'music/test-track.mp3' }],
+    ...overrides,
+});
+
+// Cart mein product ka pehla version — extra (couponCode etc.) PUT /api/cart body mein jata hai
+async function fillCart(app, token, product, extra = {}) {
+    const cart = await request(app)
+        .put('/api/cart')
+        .set({ Authorization: `Bearer ${token}` })
+        .send({ items: [{ productId: product._id, versionId: product.versions[0]._id, quantity: 1 }], ...extra });
+    if (cart.status !== 200) throw new Error(`Cart update failed: ${cart.status} ${JSON.stringify(cart.body)}`);
+    return cart.body;
+}
+
+// Cart bharo aur PayPal order banao — options: { couponCode?, useCredit? }. Returns { orderID, approvalUrl }
+async function createPayPalCheckout(app, token, product, { couponCode, useCredit } = {}) {
+    await fillCart(app, token, product, couponCode ? { couponCode } : {});
+
+    const created = await request(app)
+        .post('/api/payment/create-paypal-order')
+        .set({ Authorization: `Bearer ${token}` })
+        .set('Origin', 'http://localhost:5173')
+        .send(useCredit ? { useCredit } : {});
+    if (created.status !== 200) throw new Error(`PayPal order failed: ${created.status} ${JSON.stringify(created.body)}`);
+    return created.body;
+}
+
+// Signature headers sirf maujood hone chahiye — verify mock karta hai (state.verificationStatus)
+const SIGNATURE_HEADERS = {
+    'paypal-auth-algo': 'SHA256withRSA',
+    'paypal-cert-url': 'https://api-m.sandbox.paypal.com/v1/notifications/certs/CERT-TEST',
+    'paypal-transmission-id': 'transmission-test',
+    'paypal-transmission-sig': 'signature-test',
+    'paypal-transmission-time': new Date().toISOString(),
+};
+
+const sendPayPalWebhook = (app, event) => request(app).post('/api/webhooks/paypal').set(SIGNATURE_HEADERS).send(event);
+
+// Fire-and-forget kaam (receipt email) ke liye — check true hone tak ruko
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await check())) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
+
+module.exports = {
+    startTestApp,
+    createCustomer,
+    createProduct,
+    fillCart,
+    createPayPalCheckout,
+    sendPayPalWebhook,
+    waitFor,
+};
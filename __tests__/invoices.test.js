@@ -0,0 +1,99 @@
+// Invoice numbering — har invoiceable order ka ek hi number, sequential aur gapless (parallel issue par bhi)
+jest.mock('../config/nodemailer', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ messageId: 'test-message' }),
+}));
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { sendEmail } = require('../config/nodemailer');
+const { issueInvoice } = require('../utils/invoices');
+const { startTestApp, createCustomer, createProduct, createPayPalCheckout, waitFor } = require('./helpers/testApp');
+
+describe('Invoice numbering', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await startTestApp();
+    }, 120000);
+
+    afterAll(async () => {
+        if (!ctx) return;
+        // Receipts fire-and-forget hain — DB band karne se pehle bhej diye jayein
+        await waitFor(async () => sendEmail.mock.calls.length
+            >= await mongoose.model('Order').countDocuments({ receiptSentAt: { $ne: null } }));
+        await ctx.stop();
+    });
+
+    // Poora PayPal checkout — Returns completed order ki id
+    async function completedOrder(token) {
+        const { orderID } = await createPayPalCheckout(ctx.app, token, await createProduct());
+        ctx.paypal.approve(orderID);
+        const captured = await request(ctx.app)
+            .post('/api/payment/capture-paypal-order')
+            .set({ Authorization: `Bearer ${token}` })
+            .send({ orderID });
+        expect(captured.status).toBe(200);
+        return captured.body.order._id;
+    }
+
+    const invoiceNumber = async (orderId) => (await mongoose.model('Invoice').findOne({ order: orderId })).number;
+
+    test('completed orders get consecutive numbers, downloads reuse them', async () => {
+        const { app } = ctx;
+        const { token } = await createCustomer(app);
+        const auth = { Authorization: `Bearer ${token}` };
+
+        const first = await completedOrder(token);
+        const second = await completedOrder(token);
+        expect(await invoiceNumber(first)).toBe(1);
+        expect(await invoiceNumber(second)).toBe(2);
+
+        const pdf = await request(app).get(`/api/orders/${first}/invoice`).set(auth);
+        expect(pdf.status).toBe(200);
+        expect(pdf.headers['content-type']).toBe('application/pdf');
+        expect(pdf.headers['content-disposition']).toBe('attachment; filename="invoice-INV-000001.pdf"');
+
+        // Dobara download — wahi invoice, naya number nahi
+        await request(app).get(`/api/orders/${first}/invoice`).set(auth);
+        expect(await mongoose.model('Invoice').countDocuments()).toBe(2);
+
+        // Pending order ka invoice nahi hota
+        const { orderID } = await createPayPalCheckout(app, token, await createProduct());
+        const pending = await mongoose.model('Order').findOne({ providerOrderId: orderID });
+        const refused = await request(app).get(`/api/orders/${pending._id}/invoice`).set(auth);
+        expect(refused.status).toBe(400);
+        expect(await mongoose.model('Invoice').exists({ order: pending._id })).toBeNull();
+
+        // Invoice issue hone ke baad badalta nahi
+        await expect(mongoose.model('Invoice').updateOne({ order: first }, { number: 99 }).exec()).rejects.toThrow('Invoices cannot be modified');
+    });
+
+    test('parallel issues stay gapless and give each order one number', async () => {
+        const { user } = await createCustomer(ctx.app);
+        const product = await createProduct();
+        // Purane completed orders (invoice feature se pehle ke) — pehli download par issue hote hain
+        const orders = await mongoose.model('Order').create([1, 2, 3, 4, 5].map(n => ({
+            user: user._id,
+            items: [{ productId: String(product._id), title: product.title, artist: product.artist, price: 9.99 }],
+            totalAmount: 9.99,
+            providerOrderId: `LEGACY-${n}`,
+            status: 'completed',
+            completedAt: new Date(),
+        })));
+
+        const before = await mongoose.model('Invoice').countDocuments();
+        // Har order do baar ek saath — receipt aur download ek hi waqt par aa sakte hain
+        const issued = await Promise.all([...orders, ...orders].map(order => issueInvoice(order)));
+
+        const numbers = orders.map(order => issued.find(inv => String(inv.order) === String(order._id)).number);
+        expect(new Set(numbers).size).toBe(5);
+        for (const order of orders) {
+            const forOrder = issued.filter(inv => String(inv.order) === String(order._id));
+            expect(new Set(forOrder.map(inv => inv.number)).size).toBe(1);
+        }
+
+        const all = (await mongoose.model('Invoice').find().sort({ number: 1 })).map(inv => inv.number);
+        expect(all).toHaveLength(before + 5);
+        expect(all).toEqual(all.map((_, index) => index + 1));
+    });
+});
@@ -0,0 +1,102 @@
+// PayPal webhook receiver local mock ke against — mock ka verify-webhook-signature endpoint signature decide karta hai
+jest.mock('../config/nodemailer', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ messageId: 'test-message' }),
+}));
+
+const mongoose = require('mongoose');
+const { sendEmail } = require('../config/nodemailer');
+const {
+    startTestApp,
+    createCustomer,
+    createProduct,
+    createPayPalCheckout,
+    sendPayPalWebhook: sendWebhook,
+    waitFor
+} = require('./helpers/testApp');
+
+describe('PayPal webhooks against the local mock', () => {
+    let ctx;
+
+    beforeAll(async () => {
+        ctx = await startTestApp();
+    }, 120000);
+
+    afterAll(async () => {
+        if (!ctx) return;
+        // Receipts fire-and-forget hain — DB band karne se pehle jitne claim hue sab bhej diye jayein
+        await waitFor(async () => sendEmail.mock.calls.length
+            >= await mongoose.model('Order').countDocuments({ receiptSentAt: { $ne: null } }));
+        await ctx.stop();
+    });
+
+    afterEach(() => {
+        if (ctx) ctx.paypal.state.verificationStatus = 'SUCCESS';
+    });
+
+    // Approved (par capture nahi hua) PayPal order — Returns { order, orderID }
+    async function approvedOrder() {
+        const { token } = await createCustomer(ctx.app);
+        const { orderID } = await createPayPalCheckout(ctx.app, token, await createProduct());
+        ctx.paypal.approve(orderID);
+        return { order: await mongoose.model('Order').findOne({ providerOrderId: orderID }), orderID };
+    }
+
+    test('CHECKOUT.ORDER.APPROVED captures and completes the order, redelivery is a duplicate', async () => {
+        const { order, orderID } = await approvedOrder();
+        const event = { id: `WH-APPROVED-${orderID}`, event_type: 'CHECKOUT.ORDER.APPROVED', resource: { id: orderID } };
+
+        const res = await sendWebhook(ctx.app, event);
+        expect(res.status).toBe(200);
+        expect(res.body.outcome).toBe('completed');
+
+        const completed = await mongoose.model('Order').findById(order._id);
+        expect(completed.status).toBe('completed');
+        expect(completed.providerPaymentId).toMatch(/^CAP/);
+        expect(await mongoose.model('Entitlement').countDocuments({ order: order._id, revokedAt: null })).toBe(1);
+
+        const redelivered = await sendWebhook(ctx.app, event);
+        expect(redelivered.status).toBe(200);
+        expect(redelivered.body.duplicate).toBe(true);
+        expect(ctx.paypal.state.captures.size).toBeGreaterThanOrEqual(1);
+        expect(await mongoose.model('WebhookEvent').countDocuments({ eventId: event.id })).toBe(1);
+    });
+
+    test('rejects an event whose signature PayPal does not verify', async () => {
+        const { order, orderID } = await approvedOrder();
+        ctx.paypal.state.verificationStatus = 'FAILURE';
+
+        const res = await sendWebhook(ctx.app, { id: `WH-FORGED-${orderID}`, event_type: 'CHECKOUT.ORDER.APPROVED', resource: { id: orderID } });
+        expect(res.status).toBe(400);
+        expect((await mongoose.model('Order').findById(order._id)).status).toBe('pending');
+        expect(await mongoose.model('WebhookEvent').countDocuments({ eventId: `WH-FORGED-${orderID}` })).toBe(0);
+    });
+
+    test('PAYMENT.CAPTURE.REFUNDED records a full refund and revokes access once', async () => {
+        const { order, orderID } = await approvedOrder();
+        await sendWebhook(ctx.app, { id: `WH-APPROVED-${orderID}`, event_type: 'CHECKOUT.ORDER.APPROVED', resource: { id: orderID } });
+        const completed = await mongoose.model('Order').findById(order._id);
+
+        const refund = {
+            id: `REF-${orderID}`,
+            status: 'COMPLETED',
+            amount: { currency_code: 'USD', value: '9.99' },
+            supplementary_data: { related_ids: { order_id: orderID } },
+            links: [{ rel: 'up', href: `${ctx.paypal.url}/v2/payments/captures/${completed.providerPaymentId}` }],
+        };
+
+        const res = await sendWebhook(ctx.app, { id: `WH-REFUND-${orderID}`, event_type: 'PAYMENT.CAPTURE.REFUNDED', resource: refund });
+        expect(res.status).toBe(200);
+        expect(res.body.outcome).toBe('refunded');
+
+        // Same refund alag event id se (PayPal resend) — refund id match hoke skip
+        const repeat = await sendWebhook(ctx.app, { id: `WH-REFUND-2-${orderID}`, event_type: 'PAYMENT.CAPTURE.REFUNDED', resource: refund });
+        expect(repeat.body.outcome).toBe('already_recorded');
+
+        const refunded = await mongoose.model('Order').findById(order._id);
+        expect(refunded.status).toBe('refunded');
+        expect(refunded.refundedAmount).toBe(9.99);
+        expect(refunded.refunds).toHaveLength(1);
+        expect(refunded.items.every(item => item.refunded)).toBe(true);
+        expect(await mongoose.model('Entitlement').countDocuments({ order: order._id, revokedAt: null })).toBe(0);
+    });
+});
@@ -1,8 +1,18 @@
 const multer = require("multer");
+const os = require("os");
+
+// Disk par temp file — bade WAV/ZIP memory mein load nahi hote, wahan se R2 ko stream hota hai
+const maxMb = Number(process.env.MUSIC_UPLOAD_MAX_MB) || 1024;
+
 const musicUpload = multer({
-  limits: { fileSize: 50 * 1024 * 1024 },
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: maxMb * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const allowed = ["audio/mpeg", "audio/wav", "application/zip"];
+    const allowed = [
+      "audio/mpeg", "audio/mp3",
+      "audio/wav", "audio/x-wav", "audio/wave",
+      "application/zip", "application/x-zip-compressed"
+    ];
     if (allowed.includes(file.mimetype)) cb(null, true);
     else cb(new Error("Only MP3, WAV, ZIP allowed"));
   }
@@ -10,13 +10,15 @@ const transporter = nodemailer.createTransport({
   },
 });
 
-async function sendEmail(to, subject, html) {
+// extra: { text, attachments } — plain-text alternative ya attachments ke liye
+async function sendEmail(to, subject, html, extra = {}) {
   try {
     const info = await transporter.sendMail({
       from: `"Waslerr" <${process.env.EMAIL_FROM}>`,
       to,
       subject,
       html,
+      ...extra,
     });
     console.log('Email sent:', info.messageId);
     return info;
@@ -1,19 +1,49 @@
 // config/paypal.js - Updated (no old SDK needed)
 
+const PAYPAL_ENVIRONMENTS = {
+    live: 'https://api-m.paypal.com',
+    sandbox: 'https://api-m.sandbox.paypal.com',
+};
+
+// PAYPAL_ENVIRONMENT: live (ya production) | sandbox | custom — custom mein PAYPAL_API_BASE (local mock, proxy)
+// PAYPAL_API_BASE set ho toh hamesha wahi chalta hai. Har call par env padhte hain, taaki tests mock start karke env set kar sakein
+function getPayPalEnvironment() {
+    const configured = (process.env.PAYPAL_ENVIRONMENT || 'live').trim().toLowerCase();
+    const environment = configured === 'production' ? 'live' : configured;
+    const customBase = (process.env.PAYPAL_API_BASE || '').trim().replace(/\/+$/, '');
+
+    if (customBase) return { environment: 'custom', apiBase: customBase };
+    if (environment === 'custom') {
+        throw new Error('PAYPAL_API_BASE is required when PAYPAL_ENVIRONMENT=custom');
+    }
+    if (!PAYPAL_ENVIRONMENTS[environment]) {
+        throw new Error(`Unknown PAYPAL_ENVIRONMENT "${configured}" (use live, sandbox or custom)`);
+    }
+    return { environment, apiBase: PAYPAL_ENVIRONMENTS[environment] };
+}
+
+// Token environment + client ke hisaab se cache — sandbox ka token live par nahi chalta
 let cachedToken = null;
 let tokenExpiry = null;
+let tokenKey = null;
 
 async function getPayPalAccessToken() {
-    if (cachedToken && tokenExpiry && Date.now() < tokenExpiry) {
+    const { apiBase } = getPayPalEnvironment();
+    const key = `${apiBase}|${process.env.PAYPAL_CLIENT_ID}`;
+    if (cachedToken && tokenExpiry && Date.now() < tokenExpiry && tokenKey === key) {
         return cachedToken;
     }
 
     const PAYPAL_CLIENT_ID = process.env.PAYPAL_CLIENT_ID;
     const PAYPAL_CLIENT_SECRET = process.env.PAYPAL_CLIENT_SECRET;
 
+    if (!PAYPAL_CLIENT_ID || !PAYPAL_CLIENT_SECRET) {
+        throw new Error('PayPal credentials missing in environment variables');
+    }
+
     const credentials = Buffer.from(`${PAYPAL_CLIENT_ID}:${PAYPAL_CLIENT_SECRET}`).toString('base64');
 
-    const response = await fetch('https://api-m.paypal.com/v1/oauth2/token', {
+    const response = await fetch(`${apiBase}/v1/oauth2/token`, {
         method: 'POST',
         headers: {
             'Authorization': `Basic ${credentials}`,
@@ -29,9 +59,58 @@ async function getPayPalAccessToken() {
     }
 
     cachedToken = data.access_token;
-    tokenExpiry = Date.now() + (8 * 60 * 60 * 1000);
+    tokenKey = key;
+    // expires_in se thoda pehle refresh (na aaye toh 8 ghante)
+    tokenExpiry = Date.now() + (data.expires_in ? (data.expires_in - 60) * 1000 : 8 * 60 * 60 * 1000);
 
     return cachedToken;
 }
 
-module.exports = { getPayPalAccessToken };
\ No newline at end of file
+// Authenticated JSON call to the PayPal REST API (15s timeout)
+async function paypalRequest(path, { method = 'POST', body, headers = {} } = {}) {
+    const accessToken = await getPayPalAccessToken();
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 15000);
+
+    try {
+        const response = await fetch(`${getPayPalEnvironment().apiBase}${path}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+                ...headers,
+            },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal: controller.signal,
+        });
+        const data = await response.json().catch(() => ({}));
+        return { ok: response.ok, status: response.status, data };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// PayPal ke verify API se webhook signature check karo
+async function verifyWebhookSignature(headers, webhookEvent) {
+    const webhookId = process.env.PAYPAL_WEBHOOK_ID;
+    if (!webhookId) {
+        throw new Error('PAYPAL_WEBHOOK_ID missing in environment variables');
+    }
+
+    const { data } = await paypalRequest('/v1/notifications/verify-webhook-signature', {
+        body: {
+            auth_algo: headers['paypal-auth-algo'],
+            cert_url: headers['paypal-cert-url'],
+            transmission_id: headers['paypal-transmission-id'],
+            transmission_sig: headers['paypal-transmission-sig'],
+            transmission_time: headers['paypal-transmission-time'],
+            webhook_id: webhookId,
+            webhook_event: webhookEvent,
+        },
+    });
+
+    return data.verification_status === 'SUCCESS';
+}
+
+module.exports = { getPayPalEnvironment, getPayPalAccessToken, paypalRequest, verifyWebhookSignature };
@@ -0,0 +1,71 @@
+// config/stripe.js - Stripe REST API (no SDK, PayPal jaisa hi fetch se)
+const crypto = require('crypto');
+
+// Base URL env se override ho sakta hai — stripe-mock / local mock server ke against test karne ke liye
+const STRIPE_API_BASE = process.env.STRIPE_API_BASE || 'https://api.stripe.com';
+
+// Webhook timestamp itne seconds se purana ho toh replay maan ke reject
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+// Stripe form-encoded body leta hai — nested objects/arrays: line_items[0][price_data][currency]=usd
+function toFormBody(params, prefix = '', pairs = []) {
+    for (const [key, value] of Object.entries(params)) {
+        if (value === undefined || value === null) continue;
+        const name = prefix ? `${prefix}[${key}]` : key;
+        if (typeof value === 'object') {
+            toFormBody(value, name, pairs);
+        } else {
+            pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+        }
+    }
+    return pairs;
+}
+
+// Authenticated call to the Stripe API (15s timeout)
+async function stripeRequest(path, { method = 'POST', params, idempotencyKey } = {}) {
+    const secretKey = process.env.STRIPE_SECRET_KEY;
+    if (!secretKey) {
+        throw new Error('STRIPE_SECRET_KEY missing in environment variables');
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 15000);
+
+    try {
+        const response = await fetch(`${STRIPE_API_BASE}${path}`, {
+            method,
+            headers: {
+                'Authorization': `Bearer ${secretKey}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}),
+            },
+            body: params === undefined ? undefined : toFormBody(params).join('&'),
+            signal: controller.signal,
+        });
+        const data = await response.json().catch(() => ({}));
+        return { ok: response.ok, status: response.status, data };
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+// Stripe-Signature header: t=<timestamp>,v1=<hmac>[,v1=...] — HMAC-SHA256(`${t}.${rawBody}`, STRIPE_WEBHOOK_SECRET)
+function verifyWebhookSignature(rawBody, signatureHeader) {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    if (!secret) {
+        throw new Error('STRIPE_WEBHOOK_SECRET missing in environment variables');
+    }
+    if (!rawBody || !signatureHeader) return false;
+
+    const parts = String(signatureHeader).split(',').map(part => part.split('='));
+    const timestamp = Number(parts.find(([key]) => key === 't')?.[1]);
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) return false;
+
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return signatures.some(signature => signature.length === expected.length
+        && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected)));
+}
+
+module.exports = { STRIPE_API_BASE, stripeRequest, verifyWebhookSignature };
@@ -0,0 +1,18 @@
+// Template helpers — user ka data HTML mein jaane se pehle escape hona chahiye
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// currency: order ki ISO code (USD, EUR, INR...) — symbol Intl se
+const formatMoney = (amount, currency = 'USD') => new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency,
+}).format(Number(amount) || 0);
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}${path}`;
+
+module.exports = { escapeHtml, formatMoney, frontendUrl };
@@ -0,0 +1,35 @@
+const { sendEmail } = require('../config/nodemailer');
+const { renderHtmlLayout, renderTextLayout } = require('./layout');
+
+// Har template: { subject(data), html(data), text(data), sampleData }
+const templates = {
+    verifyEmail: require('./templates/verifyEmail'),
+    passwordReset: require('./templates/passwordReset'),
+    refund: require('./templates/refund'),
+    orderReceipt: require('./templates/orderReceipt'),
+    giftReceived: require('./templates/giftReceived'),
+};
+
+// Sirf apni keys — 'constructor'/'__proto__' jaise naam Object.prototype se template na ban jayein
+const findTemplate = (name) => (Object.hasOwn(templates, name) ? templates[name] : null);
+
+function renderEmail(name, data) {
+    const template = findTemplate(name);
+    if (!template) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const subject = template.subject(data);
+    return {
+        subject,
+        html: renderHtmlLayout({ title: subject, body: template.html(data) }),
+        text: renderTextLayout(template.text(data)),
+    };
+}
+
+async function sendTemplateEmail(to, name, data, extra = {}) {
+    const { subject, html, text } = renderEmail(name, data);
+    return sendEmail(to, subject, html, { text, ...extra });
+}
+
+module.exports = { templates, findTemplate, renderEmail, sendTemplateEmail };
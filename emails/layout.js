@@ -0,0 +1,45 @@
+const { escapeHtml } = require('./helpers');
+
+// Shared HTML shell for every email — inline styles because mail clients strip <style>
+function renderHtmlLayout({ title, body }) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f4f4f7;font-family:Arial,Helvetica,sans-serif;color:#222;">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f4f4f7;padding:24px 0;">
+    <tr>
+      <td align="center">
+        <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:8px;">
+          <tr>
+            <td style="padding:24px 32px;border-bottom:1px solid #eee;font-size:22px;font-weight:bold;">Waslerr</td>
+          </tr>
+          <tr>
+            <td style="padding:24px 32px;font-size:15px;line-height:1.5;">
+              ${body}
+            </td>
+          </tr>
+          <tr>
+            <td style="padding:16px 32px;border-top:1px solid #eee;font-size:12px;color:#888;">
+              You are receiving this email because of activity on your Waslerr account.
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
+function renderTextLayout(text) {
+    return `${text.trim()}\n\n— Waslerr\n`;
+}
+
+const button = (href, label) =>
+    `<p><a href="${escapeHtml(href)}" style="display:inline-block;padding:10px 20px;background:#222;color:#fff;text-decoration:none;border-radius:4px;">${escapeHtml(label)}</a></p>`;
+
+module.exports = { renderHtmlLayout, renderTextLayout, button };
@@ -0,0 +1,46 @@
+const { escapeHtml } = require('../helpers');
+const { button } = require('../layout');
+
+// data: { recipientName, senderName, message, items: [{ title, artist, version }], code, claimUrl, expiresOn }
+const lineLabel = (item) => `${item.title} by ${item.artist}${item.version ? ` — ${item.version}` : ''}`;
+
+module.exports = {
+    subject: (data) => `${data.senderName} sent you music on Waslerr`,
+    html: (data) => `
+        <h2>You've received a gift!</h2>
+        <p>Hi${data.recipientName ? ` ${escapeHtml(data.recipientName)}` : ''},</p>
+        <p><strong>${escapeHtml(data.senderName)}</strong> bought you:</p>
+        <ul>
+          ${data.items.map(item => `<li>${escapeHtml(lineLabel(item))}</li>`).join('')}
+        </ul>
+        ${data.message ? `<blockquote style="margin:16px 0;padding:8px 16px;border-left:3px solid #ddd;color:#444;">${escapeHtml(data.message)}</blockquote>` : ''}
+        <p>Log in or create a free account to add it to your library:</p>
+        ${button(data.claimUrl, 'Claim your gift')}
+        <p style="font-size:13px;color:#666;">Gift code: <strong>${escapeHtml(data.code)}</strong> — claim by ${escapeHtml(data.expiresOn)}.</p>`,
+    text: (data) => {
+        const lines = [
+            `Hi${data.recipientName ? ` ${data.recipientName}` : ''},`,
+            '',
+            `${data.senderName} bought you:`,
+            ...data.items.map(item => `- ${lineLabel(item)}`),
+        ];
+        if (data.message) lines.push('', `"${data.message}"`);
+        lines.push(
+            '',
+            'Log in or create a free account to add it to your library:',
+            data.claimUrl,
+            '',
+            `Gift code: ${data.code} — claim by ${data.expiresOn}.`
+        );
+        return lines.join('\n');
+    },
+    sampleData: {
+        recipientName: 'Ravi',
+        senderName: 'Asha',
+        message: 'Happy birthday! This one helped me sleep, hope it helps you too.',
+        items: [{ title: 'Meditation Field', artist: 'Waslerr', version: 'Extended' }],
+        code: 'GIFT-7K3M-Q9PX-2HDA',
+        claimUrl: 'http://localhost:5173/gifts/claim?code=GIFT-7K3M-Q9PX-2HDA',
+        expiresOn: 'January 1, 2027',
+    },
+};
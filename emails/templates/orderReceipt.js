@@ -0,0 +1,73 @@
+const { escapeHtml, formatMoney } = require('../helpers');
+const { button } = require('../layout');
+
+// data: { name, orderId, orderDate, items: [{ title, artist, version, quantity, price, giftFor? }],
+//         subtotal, discount, couponCode, tax, taxLabel, extraAmount, creditApplied, total, currency, invoiceNumber?, libraryUrl }
+const lineLabel = (item) => `${item.title} by ${item.artist}${item.version ? ` — ${item.version}` : ''}${item.giftFor ? ` (gift for ${item.giftFor})` : ''}`;
+
+module.exports = {
+    subject: (data) => `Your Waslerr receipt (order ${data.orderId})`,
+    html: (data) => `
+        <h2>Thanks for your purchase!</h2>
+        <p>Hi ${escapeHtml(data.name)},</p>
+        <p>Your order <strong>${escapeHtml(data.orderId)}</strong> placed on ${escapeHtml(data.orderDate)} is complete.</p>
+        <table role="presentation" width="100%" cellpadding="6" cellspacing="0" style="border-collapse:collapse;font-size:14px;">
+          <tr style="border-bottom:1px solid #eee;text-align:left;">
+            <th>Item</th><th>Qty</th><th style="text-align:right;">Price</th>
+          </tr>
+          ${data.items.map(item => `
+          <tr style="border-bottom:1px solid #eee;">
+            <td>${escapeHtml(item.title)}<br><span style="color:#666;font-size:12px;">${escapeHtml(item.artist)}${item.version ? ` · ${escapeHtml(item.version)}` : ''}${item.giftFor ? ` · Gift for ${escapeHtml(item.giftFor)}` : ''}</span></td>
+            <td>${item.quantity}</td>
+            <td style="text-align:right;">${formatMoney(item.price * item.quantity, data.currency)}</td>
+          </tr>`).join('')}
+          <tr><td colspan="2">Subtotal</td><td style="text-align:right;">${formatMoney(data.subtotal, data.currency)}</td></tr>
+          ${data.discount > 0 ? `<tr><td colspan="2">Discount${data.couponCode ? ` (${escapeHtml(data.couponCode)})` : ''}</td><td style="text-align:right;">-${formatMoney(data.discount, data.currency)}</td></tr>` : ''}
+          ${data.tax > 0 ? `<tr><td colspan="2">${escapeHtml(data.taxLabel || 'Tax')}</td><td style="text-align:right;">${formatMoney(data.tax, data.currency)}</td></tr>` : ''}
+          ${data.extraAmount > 0 ? `<tr><td colspan="2">Extra support</td><td style="text-align:right;">${formatMoney(data.extraAmount, data.currency)}</td></tr>` : ''}
+          ${data.creditApplied > 0 ? `<tr><td colspan="2">Store credit</td><td style="text-align:right;">-${formatMoney(data.creditApplied, data.currency)}</td></tr>` : ''}
+          <tr style="font-weight:bold;"><td colspan="2">Total</td><td style="text-align:right;">${formatMoney(data.total, data.currency)}</td></tr>
+        </table>
+        ${data.invoiceNumber ? `<p>Your invoice <strong>${escapeHtml(data.invoiceNumber)}</strong> is attached as a PDF.</p>` : ''}
+        <p>Your downloads are always available in your library, where fresh download links are generated each time you visit:</p>
+        ${button(data.libraryUrl, 'Go to my library')}`,
+    text: (data) => {
+        const lines = [
+            `Hi ${data.name},`,
+            '',
+            `Your order ${data.orderId} placed on ${data.orderDate} is complete.`,
+            '',
+            ...data.items.map(item => `- ${lineLabel(item)} x${item.quantity}: ${formatMoney(item.price * item.quantity, data.currency)}`),
+            '',
+            `Subtotal: ${formatMoney(data.subtotal, data.currency)}`,
+        ];
+        if (data.discount > 0) lines.push(`Discount${data.couponCode ? ` (${data.couponCode})` : ''}: -${formatMoney(data.discount, data.currency)}`);
+        if (data.tax > 0) lines.push(`${data.taxLabel || 'Tax'}: ${formatMoney(data.tax, data.currency)}`);
+        if (data.extraAmount > 0) lines.push(`Extra support: ${formatMoney(data.extraAmount, data.currency)}`);
+        if (data.creditApplied > 0) lines.push(`Store credit: -${formatMoney(data.creditApplied, data.currency)}`);
+        lines.push(`Total: ${formatMoney(data.total, data.currency)}`);
+        if (data.invoiceNumber) lines.push('', `Your invoice ${data.invoiceNumber} is attached as a PDF.`);
+        lines.push('', 'Download your music any time from your library:', data.libraryUrl);
+        return lines.join('\n');
+    },
+    sampleData: {
+        name: 'Asha',
+        orderId: '665f1c2e9b1e8a0012345678',
+        orderDate: 'June 4, 2024',
+        items: [
+            { title: 'Meditation Field', artist: 'Waslerr', version: 'Extended', quantity: 1, price: 12 },
+            { title: 'Akashic Morning', artist: 'Waslerr', version: 'Standard', quantity: 1, price: 8 },
+        ],
+        subtotal: 20,
+        discount: 2,
+        couponCode: 'WELCOME10',
+        tax: 3.6,
+        taxLabel: 'VAT (20%, GB)',
+        extraAmount: 1.5,
+        creditApplied: 0,
+        total: 23.1,
+        currency: 'USD',
+        invoiceNumber: 'INV-000042',
+        libraryUrl: 'http://localhost:5173/library',
+    },
+};
@@ -0,0 +1,24 @@
+const { escapeHtml } = require('../helpers');
+const { button } = require('../layout');
+
+// data: { name, resetUrl }
+module.exports = {
+    subject: () => 'Reset your Waslerr password',
+    html: (data) => `
+        <h2>Reset your password</h2>
+        <p>Hi ${escapeHtml(data.name)},</p>
+        <p>Someone asked to reset the password for your Waslerr account. Click the button below to choose a new one:</p>
+        ${button(data.resetUrl, 'Reset password')}
+        <p style="font-size:13px;color:#666;">Or paste this link into your browser: ${escapeHtml(data.resetUrl)}</p>
+        <p>This link expires in 30 minutes and can only be used once. If you didn't ask for this, you can ignore this email.</p>`,
+    text: (data) => `Hi ${data.name},
+
+Someone asked to reset the password for your Waslerr account. Open this link to choose a new one:
+${data.resetUrl}
+
+This link expires in 30 minutes and can only be used once. If you didn't ask for this, you can ignore this email.`,
+    sampleData: {
+        name: 'Asha',
+        resetUrl: 'http://localhost:5173/reset-password/sample-token',
+    },
+};
@@ -0,0 +1,39 @@
+const { escapeHtml, formatMoney } = require('../helpers');
+
+// data: { name, orderId, amount, currency, reason, revokedItems: [{ title, version }] }
+module.exports = {
+    subject: () => 'Your Waslerr refund',
+    html: (data) => `
+        <h2>Your refund has been processed</h2>
+        <p>Hi ${escapeHtml(data.name)},</p>
+        <p>We've refunded <strong>${formatMoney(data.amount, data.currency)}</strong> for order ${escapeHtml(data.orderId)}.</p>
+        ${data.reason ? `<p>Reason: ${escapeHtml(data.reason)}</p>` : ''}
+        ${data.revokedItems.length > 0 ? `
+        <p>Download access has been removed for:</p>
+        <ul>
+          ${data.revokedItems.map(item => `<li>${escapeHtml(item.title)}${item.version ? ` (${escapeHtml(item.version)})` : ''}</li>`).join('')}
+        </ul>` : ''}
+        <p>The money should reach your PayPal account within a few days.</p>`,
+    text: (data) => {
+        const lines = [
+            `Hi ${data.name},`,
+            '',
+            `We've refunded ${formatMoney(data.amount, data.currency)} for order ${data.orderId}.`,
+        ];
+        if (data.reason) lines.push(`Reason: ${data.reason}`);
+        if (data.revokedItems.length > 0) {
+            lines.push('', 'Download access has been removed for:');
+            data.revokedItems.forEach(item => lines.push(`- ${item.title}${item.version ? ` (${item.version})` : ''}`));
+        }
+        lines.push('', 'The money should reach your PayPal account within a few days.');
+        return lines.join('\n');
+    },
+    sampleData: {
+        name: 'Asha',
+        orderId: '665f1c2e9b1e8a0012345678',
+        amount: 9.99,
+        currency: 'USD',
+        reason: 'Duplicate purchase',
+        revokedItems: [{ title: 'Meditation Field', version: 'Extended' }],
+    },
+};
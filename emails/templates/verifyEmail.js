@@ -0,0 +1,24 @@
+const { escapeHtml } = require('../helpers');
+const { button } = require('../layout');
+
+// data: { name, verifyUrl }
+module.exports = {
+    subject: () => 'Confirm your Waslerr email',
+    html: (data) => `
+        <h2>Confirm your email</h2>
+        <p>Hi ${escapeHtml(data.name)},</p>
+        <p>Thanks for signing up to Waslerr. Please confirm your email address to start buying music:</p>
+        ${button(data.verifyUrl, 'Verify email')}
+        <p style="font-size:13px;color:#666;">Or paste this link into your browser: ${escapeHtml(data.verifyUrl)}</p>
+        <p>This link expires in 24 hours.</p>`,
+    text: (data) => `Hi ${data.name},
+
+Thanks for signing up to Waslerr. Please confirm your email address to start buying music:
+${data.verifyUrl}
+
+This link expires in 24 hours.`,
+    sampleData: {
+        name: 'Asha',
+        verifyUrl: 'http://localhost:5173/verify-email/sample-token',
+    },
+};
@@ -0,0 +1,45 @@
+const jwt = require('jsonwebtoken');
+const Admin = require('../models/Admin');
+
+// Admin Auth Middleware
+// Token ka sessionVersion DB wale se match hona chahiye — password change hote hi purane tokens invalid
+const requireAdmin = async (req, res, next) => {
+    let token;
+
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        token = req.headers.authorization.split(' ')[1];
+    } else if (req.header('x-admin-token')) {
+        token = req.header('x-admin-token');
+    }
+
+    if (!token) {
+        return res.status(401).json({ success: false, message: 'Not authorized, no admin token' });
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET);
+    } catch (err) {
+        return res.status(401).json({ success: false, message: 'Not authorized, admin token failed' });
+    }
+
+    // Customer token (payload.user) yahan kaam nahi karega
+    if (!decoded.admin || !decoded.admin.id) {
+        return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+
+    try {
+        const admin = await Admin.findById(decoded.admin.id).select('-password');
+        if (!admin || admin.sessionVersion !== decoded.admin.sessionVersion) {
+            return res.status(401).json({ success: false, message: 'Admin session expired, please log in again' });
+        }
+
+        req.admin = admin;
+        next();
+    } catch (err) {
+        console.error('Admin auth error:', err);
+        return res.status(500).json({ success: false, message: 'Server error' });
+    }
+};
+
+module.exports = { requireAdmin };
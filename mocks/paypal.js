@@ -0,0 +1,232 @@
+// Local PayPal REST mock — OAuth token, Orders v2 create/approve/capture, capture refund, webhook verify
+// In-memory hai; checkout ko bina asli paise ke chalane ke liye. Backend ko point karo:
+//   PAYPAL_ENVIRONMENT=custom PAYPAL_API_BASE=http://localhost:4010
+// Standalone: npm run mock:paypal   |   Tests mein: const mock = await startPayPalMock(); ... await mock.close();
+const express = require('express');
+const crypto = require('crypto');
+
+const mockId = (prefix) => `${prefix}${crypto.randomBytes(8).toString('hex').toUpperCase()}`;
+
+// PayPal jaisa error body — details[].issue se caller (payments/providers/paypal.js) decide karta hai
+const paypalError = (res, status, name, issue, description) => res.status(status).json({
+    name,
+    message: description,
+    details: [{ issue, description }],
+});
+
+function createPayPalMock() {
+    const app = express();
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Tests state padh/badal sakte hain — jaise state.verificationStatus = 'FAILURE'
+    const state = {
+        tokens: new Set(),
+        orders: new Map(),
+        captures: new Map(),
+        requestIds: new Map(), // PayPal-Request-Id → response (idempotent retries)
+        verificationStatus: 'SUCCESS',
+    };
+
+    const baseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+    // Same PayPal-Request-Id par pichla response dobara
+    const idempotent = (handler) => (req, res) => {
+        const requestId = req.get('PayPal-Request-Id');
+        const key = requestId ? `${req.path}|${requestId}` : null;
+        if (key && state.requestIds.has(key)) {
+            const saved = state.requestIds.get(key);
+            return res.status(saved.status).json(saved.body);
+        }
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (key && res.statusCode < 400) state.requestIds.set(key, { status: res.statusCode, body });
+            return json(body);
+        };
+        return handler(req, res);
+    };
+
+    app.post('/v1/oauth2/token', (req, res) => {
+        const [scheme, credentials] = (req.get('Authorization') || '').split(' ');
+        const [clientId, clientSecret] = Buffer.from(credentials || '', 'base64').toString().split(':');
+        if (scheme !== 'Basic' || !clientId || !clientSecret || req.body.grant_type !== 'client_credentials') {
+            return res.status(401).json({ error: 'invalid_client', error_description: 'Client Authentication failed' });
+        }
+
+        const token = mockId('A21AA');
+        state.tokens.add(token);
+        res.json({ scope: 'https://uri.paypal.com/services/payments', access_token: token, token_type: 'Bearer', expires_in: 32400 });
+    });
+
+    // Baaki sab Bearer token maangte hain
+    app.use((req, res, next) => {
+        if (req.path === '/checkoutnow') return next();
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !state.tokens.has(token)) {
+            return res.status(401).json({ name: 'AUTHENTICATION_FAILURE', message: 'Authentication failed due to invalid authentication credentials' });
+        }
+        next();
+    });
+
+    app.post('/v2/checkout/orders', idempotent((req, res) => {
+        const { intent, purchase_units: units, application_context: context = {} } = req.body;
+        const amount = units?.[0]?.amount;
+        if (intent !== 'CAPTURE' || !amount?.currency_code || !amount?.value) {
+            return paypalError(res, 400, 'INVALID_REQUEST', 'MISSING_REQUIRED_PARAMETER', 'intent and purchase_units[0].amount are required');
+        }
+
+        // Breakdown total se match karna chahiye — asli API ki tarah
+        const breakdown = amount.breakdown || {};
+        const part = (key) => Number(breakdown[key]?.value || 0);
+        if (amount.breakdown) {
+            const expected = part('item_total') + part('tax_total') + part('handling') + part('shipping') - part('discount');
+            if (Math.abs(expected - Number(amount.value)) > 0.001) {
+                return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'AMOUNT_MISMATCH', 'Amount does not match the breakdown');
+            }
+        }
+
+        const id = mockId('MOCK');
+        const order = {
+            id,
+            intent,
+            status: 'CREATED',
+            purchase_units: units,
+            returnUrl: context.return_url || null,
+            create_time: new Date().toISOString(),
+        };
+        state.orders.set(id, order);
+
+        res.status(201).json({
+            id,
+            status: order.status,
+            create_time: order.create_time,
+            links: [
+                { href: `${baseUrl(req)}/v2/checkout/orders/${id}`, rel: 'self', method: 'GET' },
+                { href: `${baseUrl(req)}/checkoutnow?token=${id}`, rel: 'payer-action', method: 'GET' },
+            ],
+        });
+    }));
+
+    app.get('/v2/checkout/orders/:id', (req, res) => {
+        const order = state.orders.get(req.params.id);
+        if (!order) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+        res.json(order);
+    });
+
+    // Buyer approval — browser se (return_url par redirect) ya test se seedha
+    app.get('/checkoutnow', (req, res) => {
+        const order = state.orders.get(req.query.token);
+        if (!order) return res.status(404).send('Unknown order');
+        if (order.status === 'CREATED') order.status = 'APPROVED';
+        if (order.returnUrl) return res.redirect(`${order.returnUrl}?token=${order.id}&PayerID=MOCKPAYER`);
+        res.json({ id: order.id, status: order.status });
+    });
+
+    app.post('/v2/checkout/orders/:id/capture', idempotent((req, res) => {
+        const order = state.orders.get(req.params.id);
+        if (!order) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+        if (order.status === 'COMPLETED') {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_ALREADY_CAPTURED', 'Order already captured');
+        }
+        if (order.status !== 'APPROVED') {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'ORDER_NOT_APPROVED', 'Payer has not yet approved the Order for payment');
+        }
+        // decline(orderId) — bank ne card mana kiya; order APPROVED hi rehta hai (buyer doosra instrument chun sakta hai)
+        if (order.declineCapture) {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'INSTRUMENT_DECLINED', 'The instrument presented was either declined by the processor or bank');
+        }
+
+        const amount = order.purchase_units[0].amount;
+        const capture = {
+            id: mockId('CAP'),
+            status: 'COMPLETED',
+            amount: { currency_code: amount.currency_code, value: amount.value },
+            refunded: 0,
+            orderId: order.id,
+            create_time: new Date().toISOString(),
+        };
+        state.captures.set(capture.id, capture);
+
+        order.status = 'COMPLETED';
+        order.purchase_units = order.purchase_units.map((unit, index) => (index === 0
+            ? { ...unit, payments: { captures: [{ id: capture.id, status: capture.status, amount: capture.amount }] } }
+            : unit));
+
+        res.status(201).json({
+            id: order.id,
+            status: order.status,
+            purchase_units: order.purchase_units,
+            payer: { payer_id: 'MOCKPAYER', email_address: 'buyer@example.com' },
+        });
+    }));
+
+    app.post('/v2/payments/captures/:id/refund', idempotent((req, res) => {
+        const capture = state.captures.get(req.params.id);
+        if (!capture) return paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', 'Specified resource ID does not exist');
+
+        const remaining = Number(capture.amount.value) - capture.refunded;
+        const value = req.body.amount ? Number(req.body.amount.value) : remaining;
+        if (!(value > 0) || value - remaining > 0.001) {
+            return paypalError(res, 422, 'UNPROCESSABLE_ENTITY', 'REFUND_AMOUNT_EXCEEDED', 'The refund amount must be less than or equal to the capture amount that has not yet been refunded');
+        }
+
+        capture.refunded = Math.round((capture.refunded + value) * 100) / 100;
+        capture.status = capture.refunded >= Number(capture.amount.value) ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+        res.status(201).json({
+            id: mockId('REF'),
+            status: 'COMPLETED',
+            amount: { currency_code: capture.amount.currency_code, value: value.toFixed(2) },
+            note_to_payer: req.body.note_to_payer,
+            links: [{ href: `${baseUrl(req)}/v2/payments/captures/${capture.id}`, rel: 'up', method: 'GET' }],
+        });
+    }));
+
+    app.post('/v1/notifications/verify-webhook-signature', (req, res) => {
+        if (!req.body.webhook_id || !req.body.webhook_event) {
+            return paypalError(res, 400, 'INVALID_REQUEST', 'MISSING_REQUIRED_PARAMETER', 'webhook_id and webhook_event are required');
+        }
+        res.json({ verification_status: state.verificationStatus });
+    });
+
+    app.use((req, res) => paypalError(res, 404, 'RESOURCE_NOT_FOUND', 'INVALID_RESOURCE_ID', `No mock for ${req.method} ${req.path}`));
+
+    return { app, state };
+}
+
+// port 0 = koi bhi free port. Returns { url, state, approve(orderId), decline(orderId), close() }
+function startPayPalMock(port = 0) {
+    const { app, state } = createPayPalMock();
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                state,
+                // Buyer approval simulate karo (browser redirect ke bina)
+                approve: (orderId) => {
+                    const order = state.orders.get(orderId);
+                    if (order && order.status === 'CREATED') order.status = 'APPROVED';
+                    return !!order;
+                },
+                // Buyer approve kare par capture INSTRUMENT_DECLINED de
+                decline: (orderId) => {
+                    const order = state.orders.get(orderId);
+                    if (order && order.status === 'CREATED') order.status = 'APPROVED';
+                    if (order) order.declineCapture = true;
+                    return !!order;
+                },
+                close: () => new Promise(done => server.close(done)),
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+module.exports = { createPayPalMock, startPayPalMock };
+
+if (require.main === module) {
+    startPayPalMock(Number(process.env.PAYPAL_MOCK_PORT) || 4010).then(mock => {
+        console.log(`PayPal mock running at ${mock.url}`);
+        console.log(`Use: PAYPAL_ENVIRONMENT=custom PAYPAL_API_BASE=${mock.url}`);
+    });
+}
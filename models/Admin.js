@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
 
 const adminSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
@@ -17,4 +18,13 @@ adminSchema.methods.comparePassword = async function (plain) {
   return bcrypt.compare(plain, this.password);
 };
 
+// Signed admin token — sessionVersion requireAdmin middleware check karta hai
+adminSchema.methods.getSignedToken = function () {
+  return jwt.sign(
+    { admin: { id: this._id, username: this.username, sessionVersion: this.sessionVersion } },
+    process.env.ADMIN_JWT_SECRET || process.env.JWT_SECRET,
+    { expiresIn: process.env.ADMIN_JWT_EXPIRE || '12h' }
+  );
+};
+
 module.exports = mongoose.model('Admin', adminSchema);
\ No newline at end of file
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Artist profile — Product.artistId isse refer karta hai, Product.artist sirf display name ki copy hai
+const artistSchema = new mongoose.Schema({
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    name: { type: String, required: true, trim: true },
+    bio: { type: String, default: '' },
+    avatar: {
+        url: { type: String, default: null },
+        publicId: { type: String, default: null } // Cloudinary
+    },
+    links: [{
+        label: { type: String, required: true },
+        url: { type: String, required: true }
+    }],
+    isActive: { type: Boolean, default: true },
+    createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Artist', artistSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Kai product versions ek saath, apni price par — purchase par har included version ka entitlement milta hai
+const bundleSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    description: { type: String, default: '' },
+    price: { type: Number, required: true },
+    items: [{
+        product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+        versionId: { type: mongoose.Schema.Types.ObjectId, required: true } // Product.versions subdocument _id
+    }],
+    images: [{
+        url: { type: String, required: true },
+        publicId: { type: String, required: true }
+    }],
+    isActive: { type: Boolean, default: true },
+    createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Bundle', bundleSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    items: [{
+        productId: { type: String, default: null }, // bundle/gift card line par null
+        bundleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle', default: null },
+        giftCardAmount: { type: Number, default: null }, // gift card line — credit value (USD), price cart currency mein
+        title: { type: String, required: true },
+        artist: { type: String, required: true },
+        price: { type: Number, required: true },
+        // Pay-what-you-want — buyer ka chuna amount (per unit, cart currency); server minimum se check karta hai
+        pricingMode: { type: String, default: 'fixed' },
+        minimumPrice: { type: Number, default: null },
+        chosenAmount: { type: Number, default: null },
+        image: { type: String },
+        quantity: { type: Number, default: 1 },
+        // 🔥 YEH DO FIELDS ADD KAR - BAHUT IMPORTANT!
+        version: { type: String, default: null },
+        selectedVersionIndex: { type: Number, default: null },
+        versionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        // Gift line — buyer ko entitlement nahi, recipient ko claim link (models/Gift)
+        gift: {
+            recipientEmail: { type: String, default: null },
+            recipientName: { type: String, default: null },
+            message: { type: String, default: null }
+        }
+    }],
+    currency: { type: String, default: 'USD' }, // buyer ki chuni currency — items.price, discount, total isi mein
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    discount: { type: Number, default: 0 },
+    billingCountry: { type: String, default: null }, // ISO-2 — tax isi se (na ho toh IP country)
+    taxAmount: { type: Number, default: 0 },
+    total: { type: Number, default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true },
+    discountPercentage: { type: Number, required: true },
+    discountType: {
+        type: String,
+        enum: ['percent', 'amount'],
+        default: 'percent'
+    },
+    // discountType 'amount': discountPercentage base currency (USD) ki value hai, doosri currencies ki fixed value yahan
+    // Jis currency ki amount nahi, us currency ke orders par amount coupon nahi lagta
+    amounts: [{
+        _id: false,
+        currency: { type: String, required: true },
+        amount: { type: Number, required: true }
+    }],
+    validFrom: { type: Date, default: null },
+    validUntil: { type: Date, default: null },
+    maxUses: { type: Number, default: null },
+    usedCount: { type: Number, default: 0 }, // redeemed (completed orders)
+    reservedCount: { type: Number, default: 0 }, // pending orders — usedCount + reservedCount kabhi maxUses se upar nahi
+    // Rules — sab utils/coupons.js ke evaluateCoupon mein check hote hain
+    minOrderValue: { type: Number, default: null }, // base currency — doosri currency mein rate se convert hota hai
+    maxDiscount: { type: Number, default: null }, // percent coupon ka cap
+    // Dono khali = poora cart; warna discount sirf matching items par
+    applicableProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    applicableCategories: [String],
+    firstOrderOnly: { type: Boolean, default: false },
+    perUserLimit: { type: Number, default: null }, // CouponClaim (pending + redeemed orders) se count hota hai
+    isActive: { type: Boolean, default: true },
+}, { timestamps: true });
+
+module.exports = mongoose.model('Coupon', couponSchema);
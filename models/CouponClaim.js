@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Per-user limited coupon (perUserLimit / firstOrderOnly) ki ek use — order create par claim, fail/expiry par delete
+// (coupon, user, slot) unique: parallel checkouts ek hi slot nahi le sakte, isliye user ki limit kabhi cross nahi hoti
+const couponClaimSchema = new mongoose.Schema({
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    slot: { type: Number, required: true } // 0..limit-1
+}, { timestamps: true });
+
+couponClaimSchema.index({ coupon: 1, user: 1, slot: 1 }, { unique: true });
+couponClaimSchema.index({ coupon: 1, order: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponClaim', couponClaimSchema);
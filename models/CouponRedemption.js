@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Har completed order par ek row — per-user limit aur coupon usage isi se
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    discount: { type: Number, default: 0 },
+    redeemedAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+// Capture route aur webhook dono complete karein toh bhi ek hi redemption
+couponRedemptionSchema.index({ coupon: 1, order: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -0,0 +1,9 @@
+const mongoose = require('mongoose');
+
+// User ka store credit balance — sirf utils/credit.js ke postCreditEntry se badalta hai, har badlav ki CreditTransaction row
+const creditAccountSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+    balance: { type: Number, default: 0 }
+}, { timestamps: true });
+
+module.exports = mongoose.model('CreditAccount', creditAccountSchema);
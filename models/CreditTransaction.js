@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+// Store credit ledger — append-only, rows kabhi update/delete nahi hote; galti ho toh ulti entry daalo
+const creditTransactionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true }, // + credit aaya, - credit kharch/kata
+    balanceAfter: { type: Number, required: true },
+    type: {
+        type: String,
+        required: true,
+        enum: [
+            'admin_grant',
+            'admin_deduct',
+            'gift_card',      // gift card redeem kiya
+            'order_payment',  // checkout mein credit lagaya
+            'order_release',  // order fail/abandon — lagaya hua credit wapas
+            'order_refund'    // order poora refund — credit wala hissa wapas
+        ]
+    },
+    reason: { type: String, default: null },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    giftCard: { type: mongoose.Schema.Types.ObjectId, ref: 'GiftCard', default: null },
+    createdBy: { type: String, default: null }, // admin username
+    createdAt: { type: Date, default: Date.now }
+});
+
+creditTransactionSchema.index({ user: 1, createdAt: -1 });
+
+creditTransactionSchema.plugin(appendOnly, { message: 'Credit ledger entries cannot be modified' });
+
+module.exports = mongoose.model('CreditTransaction', creditTransactionSchema);
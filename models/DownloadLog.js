@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Har successful download ka record — admin order ki download history yahin se dekhta hai
+const downloadLogSchema = new mongoose.Schema({
+    entitlement: { type: mongoose.Schema.Types.ObjectId, ref: 'Entitlement', required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null, index: true },
+    versionName: { type: String, default: null },
+    ip: { type: String, default: null },
+    userAgent: { type: String, default: null },
+    downloadedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('DownloadLog', downloadLogSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// User ke paas kaunsa product version hai — ownership ka single source of truth
+const entitlementSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    versionName: { type: String, default: null },
+    versionIndex: { type: Number, default: null }, // legacy
+    versionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    source: { type: String, enum: ['purchase', 'admin', 'gift'], default: 'purchase' },
+    // Purchase/gift se mila toh order + order item, admin grant mein null
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    orderItem: { type: mongoose.Schema.Types.ObjectId, default: null }, // bundle mein: bundleItems entry ka _id
+    bundle: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle', default: null },
+    grantedBy: { type: String, default: null },
+    downloadCount: { type: Number, default: 0 },
+    // null = DOWNLOAD_LIMIT env default
+    downloadLimit: { type: Number, default: null },
+    lastDownloadedAt: { type: Date, default: null },
+    grantedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null }
+}, { timestamps: true });
+
+entitlementSchema.index({ user: 1, product: 1, revokedAt: 1 });
+// Ek order item se ek hi entitlement — capture route aur webhook dono grant karein toh bhi
+entitlementSchema.index(
+    { order: 1, orderItem: 1 },
+    { unique: true, partialFilterExpression: { order: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('Entitlement', entitlementSchema);
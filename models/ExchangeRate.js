@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Admin-managed rate table — 1 base currency (USD) = rate units of currency
+// Yahan active row wali currencies hi cart mein choose ho sakti hain
+const exchangeRateSchema = new mongoose.Schema({
+    currency: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    rate: { type: Number, required: true },
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: String, default: null } // admin username
+}, { timestamps: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
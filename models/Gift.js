@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Gift order item — buyer ko code milta hai, recipient claim kare tab entitlement uske naam
+const giftSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+    purchaser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    recipientEmail: { type: String, required: true, lowercase: true, trim: true },
+    recipientName: { type: String, default: null },
+    message: { type: String, default: null },
+    // expired stored nahi hota — expiresAt se nikalta hai (giftStatus)
+    status: { type: String, enum: ['pending', 'sent', 'claimed', 'revoked'], default: 'pending' },
+    sentAt: { type: Date, default: null },
+    claimedAt: { type: Date, default: null },
+    claimedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+giftSchema.index({ order: 1, orderItem: 1 }, { unique: true });
+
+module.exports = mongoose.model('Gift', giftSchema);
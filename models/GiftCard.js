@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Khareeda gaya gift card — code redeem karne par amount redeemer ke store credit mein
+const giftCardSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    amount: { type: Number, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+    unit: { type: Number, default: 0 }, // quantity > 1 line mein har card ka number
+    purchaser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['active', 'redeemed', 'revoked'], default: 'active' },
+    redeemedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    redeemedAt: { type: Date, default: null }
+}, { timestamps: true });
+
+giftCardSchema.index({ order: 1, orderItem: 1, unit: 1 }, { unique: true });
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const appendOnly = require('./plugins/appendOnly');
+
+// Completed order ka invoice — number sequential aur gapless (utils/invoices.js issueInvoice)
+// Seller/buyer details issue ke waqt ka snapshot; invoice kabhi update/delete nahi hota
+const invoiceSchema = new mongoose.Schema({
+    number: { type: Number, required: true, unique: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    seller: {
+        name: { type: String, required: true },
+        address: { type: String, default: null },
+        email: { type: String, default: null },
+        taxId: { type: String, default: null }
+    },
+    buyer: {
+        name: { type: String, default: null },
+        email: { type: String, default: null },
+        country: { type: String, default: null } // order.tax.country
+    },
+    issuedAt: { type: Date, default: Date.now }
+});
+
+invoiceSchema.plugin(appendOnly, { message: 'Invoices cannot be modified' });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const orderSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    items: [{
+        productId: { type: String, default: null }, // bundle/gift card line par null
+        bundleId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bundle', default: null },
+        giftCardAmount: { type: Number, default: null }, // gift card line — credit value (USD), price order currency mein
+        // Bundle line ke included versions — har ek ka apna _id, entitlement ka orderItem yahi hota hai
+        bundleItems: [{
+            productId: { type: String, required: true },
+            versionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+            version: { type: String, default: null },
+            title: { type: String },
+            artist: { type: String }
+        }],
+        title: { type: String, required: true },
+        artist: { type: String, required: true },
+        price: { type: Number, required: true },
+        // Pwyw line — price buyer ka chuna amount, minimumPrice us waqt ka minimum (reports: minimum se upar kitna diya)
+        pricingMode: { type: String, default: 'fixed' },
+        minimumPrice: { type: Number, default: null },
+        image: { type: String },
+        quantity: { type: Number, default: 1 },
+        version: { type: String, default: null },
+        selectedVersionIndex: { type: Number, default: null }, // legacy — naye orders versionId use karte hain
+        versionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        // Gift line — buyer ko entitlement nahi, recipient ko claim link (models/Gift)
+        gift: {
+            recipientEmail: { type: String, default: null },
+            recipientName: { type: String, default: null },
+            message: { type: String, default: null }
+        },
+        downloadLink: { type: String },
+        refunded: { type: Boolean, default: false }
+    }],
+    // Saare amounts (items.price, totalAmount, discount, extra, credit, refunds) is currency mein — provider checkout bhi isi mein
+    currency: { type: String, default: 'USD' },
+    exchangeRate: { type: Number, default: 1 }, // order ke waqt 1 USD = exchangeRate units — reports mein USD equivalent ke liye
+    totalAmount: { type: Number, required: true },
+    baseAmount: { type: Number },
+    discountAmount: { type: Number, default: 0 },
+    // Tax exclusive — totalAmount mein shamil; evidence reporting/audit ke liye (utils/tax.js)
+    tax: {
+        country: { type: String, default: null },
+        name: { type: String, default: null },
+        rate: { type: Number, default: 0 }, // percent
+        taxableAmount: { type: Number, default: 0 },
+        amount: { type: Number, default: 0 },
+        evidence: {
+            billingCountry: { type: String, default: null },
+            ipCountry: { type: String, default: null },
+            ipAddress: { type: String, default: null },
+            resolvedFrom: { type: String, enum: ['billing', 'ip', 'none'], default: 'none' },
+            conflict: { type: Boolean, default: false }
+        }
+    },
+    extraAmount: { type: Number, default: 0 },
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    // Coupon ki ek use order create par reserve hoti hai — capture par redeemed, fail/expiry par released
+    couponStatus: {
+        type: String,
+        enum: ['none', 'reserved', 'redeemed', 'released', 'over_limit'],
+        default: 'none'
+    },
+    // Store credit jo checkout par kata — totalAmount isse ghata ke hai (provider ne utna hi charge kiya)
+    creditApplied: { type: Number, default: 0 },
+    creditAppliedBase: { type: Number, default: null }, // ledger (USD) mein kata amount — wapas bhi utna hi aata hai
+    creditStatus: {
+        type: String,
+        enum: ['none', 'applied', 'returned'],
+        default: 'none'
+    },
+    // Payment kis provider se hua (payments/) — free/store credit orders par 'none'
+    paymentProvider: { type: String, enum: ['paypal', 'stripe', 'none'], default: 'paypal' },
+    providerOrderId: { type: String, required: true, index: true }, // PayPal order id / Stripe Checkout Session id
+    providerPaymentId: { type: String, default: null, index: true }, // PayPal capture id / Stripe PaymentIntent id
+    status: {
+        type: String,
+        default: 'pending',
+        enum: ['pending', 'completed', 'failed', 'refunded', 'partially_refunded']
+    },
+    completedAt: { type: Date, default: null },
+    receiptSentAt: { type: Date, default: null },
+    refundedAmount: { type: Number, default: 0 },
+    refunds: [{
+        providerRefundId: { type: String, required: true },
+        amount: { type: Number, required: true },
+        reason: { type: String, default: null },
+        itemIds: [String],
+        source: { type: String, enum: ['admin', 'webhook'], default: 'admin' },
+        refundedBy: { type: String, default: null },
+        createdAt: { type: Date, default: Date.now }
+    }],
+    paymentDetails: { type: Object },
+    shippingAddress: { type: Object },
+    createdAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('Order', orderSchema);
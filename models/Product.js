@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const productSchema = new mongoose.Schema({
+    title: { type: String, required: true },
+    description: { type: String, required: true },
+    // Har version ka subdocument _id stable versionId hai — cart, order, entitlement isi se refer karte hain
+    versions: [{
+        name: { type: String, required: true },
+        // fixed | free (price 0) | pwyw — pwyw mein price minimum hai, buyer cart line par apna amount chunta hai
+        pricingMode: { type: String, enum: ['fixed', 'free', 'pwyw'], default: 'fixed' },
+        price: { type: Number, required: true }, // base currency (USD)
+        suggestedPrice: { type: Number, default: null }, // pwyw — buyer ko default dikhne wala amount (base currency)
+        // Explicit doosri currency ki price — jo currency yahan nahi, uski price ExchangeRate se nikalti hai
+        prices: [{
+            _id: false,
+            currency: { type: String, required: true },
+            amount: { type: Number, required: true }
+        }],
+        r2MusicFile: { type: String },
+        // R2 object info — admin upload endpoint ya bucket headObject se
+        fileSize: { type: Number, default: null },
+        mimeType: { type: String, default: null },
+        checksum: { type: String, default: null }, // sha256 hex
+        uploadedAt: { type: Date, default: null },
+        features: [String],
+        isActive: { type: Boolean, default: true },
+        // Retired version naye buyers ko nahi bikta, purane buyers download kar sakte hain
+        retiredAt: { type: Date, default: null }
+    }],
+    images: [{
+        url: { type: String, required: true },
+        publicId: { type: String, required: true }
+    }],
+    // Public preview clip — hamesha alag previews/ key, paid master file kabhi nahi
+    preview: {
+        r2Key: { type: String, default: null },
+        mimeType: { type: String, default: null },
+        fileSize: { type: Number, default: null },
+        checksum: { type: String, default: null },
+        source: { type: String, enum: ['upload', 'trimmed'], default: 'upload' },
+        startSeconds: { type: Number, default: null },
+        durationSeconds: { type: Number, default: null },
+        updatedAt: { type: Date, default: null }
+    },
+    artist: { type: String, required: true }, // display name — Artist.name ki copy
+    artistId: { type: mongoose.Schema.Types.ObjectId, ref: 'Artist', default: null, index: true },
+    category: { type: String, default: 'akashik' },
+    isActive: { type: Boolean, default: true },
+    // Popularity sort ke liye — har naye purchase entitlement par +1 (npm run migrate:sales-count se recompute)
+    salesCount: { type: Number, default: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // legacy — pehle customer token se bante the
+    createdByAdmin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' }
+}, { timestamps: true });
+
+// Catalog search — relevance mein title sabse bhaari
+productSchema.index(
+    { title: 'text', artist: 'text', description: 'text' },
+    { weights: { title: 10, artist: 5, description: 1 }, name: 'product_text_search' }
+);
+productSchema.index({ isActive: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Product', productSchema);
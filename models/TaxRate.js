@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Digital goods ka tax rate buyer ke country ke hisaab se — admin edit karta hai (routes/taxRates.js)
+// Jis country ki row nahi ya inactive, wahan tax 0
+const taxRateSchema = new mongoose.Schema({
+    country: { type: String, required: true, unique: true, uppercase: true, trim: true }, // ISO 3166-1 alpha-2
+    rate: { type: Number, required: true }, // percent, jaise 20 = 20%
+    name: { type: String, default: 'VAT' }, // receipt/PayPal par label
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: String, default: null } // admin username
+}, { timestamps: true });
+
+module.exports = mongoose.model('TaxRate', taxRateSchema);
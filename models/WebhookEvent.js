@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Processed payment provider webhook events — duplicate deliveries ko skip karne ke liye
+const webhookEventSchema = new mongoose.Schema({
+    eventId: { type: String, required: true, unique: true },
+    eventType: { type: String, required: true },
+    resourceId: { type: String },
+    provider: { type: String, default: 'paypal' },
+    providerOrderId: { type: String, default: null },
+    outcome: { type: String },
+}, { timestamps: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
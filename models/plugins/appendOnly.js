@@ -0,0 +1,14 @@
+// Append-only schema plugin — documents sirf create hote hain; query se update/delete hamesha error
+// Usage: schema.plugin(appendOnly, { message: 'Invoices cannot be modified' })
+const BLOCKED_OPERATIONS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+function appendOnly(schema, { message = 'Documents cannot be modified' } = {}) {
+    const block = function (next) {
+        next(new Error(message));
+    };
+    for (const op of BLOCKED_OPERATIONS) {
+        schema.pre(op, block);
+    }
+}
+
+module.exports = appendOnly;
@@ -0,0 +1,17 @@
+// Payment providers — har provider: { name, label, isEnabled(), createCheckout(checkout), capture(providerOrderId),
+//   refund({ paymentId, amount, currency, reason, requestId }), verifyWebhook(req), paymentIdFromDetails(details) }
+// createCheckout/refund provider ki rejection par { error, details } lautate hain; network/config errors throw hote hain
+const providers = {
+    paypal: require('./providers/paypal'),
+    stripe: require('./providers/stripe'),
+};
+
+// name client se aata hai — "constructor"/"toString" jaise prototype keys provider nahi hain
+const getProvider = (name) => (typeof name === 'string' && Object.hasOwn(providers, name) ? providers[name] : null);
+
+// Checkout page ke liye — sirf jin ke credentials set hain
+const enabledProviders = () => Object.values(providers)
+    .filter(provider => provider.isEnabled())
+    .map(provider => ({ name: provider.name, label: provider.label }));
+
+module.exports = { providers, getProvider, enabledProviders };
@@ -0,0 +1,114 @@
+const { paypalRequest, verifyWebhookSignature } = require('../../config/paypal');
+const { roundMoney } = require('../../utils/money');
+
+// PayPal Orders v2 — buyer approvalUrl par approve karta hai, phir capture (route ya CHECKOUT.ORDER.APPROVED webhook)
+
+const money = (currency, value) => ({ currency_code: currency, value: value.toFixed(2) });
+
+// Capture response (ya purane order ka paymentDetails) se capture id
+const paymentIdFromDetails = (details) => details?.purchase_units?.[0]?.payments?.captures?.[0]?.id || null;
+
+async function createCheckout(checkout) {
+    const { currency } = checkout;
+    const { data } = await paypalRequest('/v2/checkout/orders', {
+        headers: { 'PayPal-Request-Id': checkout.requestId },
+        body: {
+            intent: 'CAPTURE',
+            purchase_units: [
+                {
+                    reference_id: checkout.orderId,
+                    amount: {
+                        ...money(currency, checkout.total),
+                        breakdown: {
+                            item_total: money(currency, checkout.subtotal),
+                            tax_total: money(currency, checkout.tax.amount),
+                            handling: money(currency, checkout.extraAmount),
+                            // Coupon discount + store credit
+                            discount: money(currency, roundMoney(checkout.discount + checkout.creditApplied)),
+                        },
+                    },
+                    // ✅ catalog prices; coupon breakdown.discount mein jaata hai
+                    items: checkout.items.map((item) => ({
+                        name: `${item.title} by ${item.artist}`.substring(0, 127),
+                        unit_amount: money(currency, item.price),
+                        quantity: item.quantity.toString(),
+                        sku: String(item.productId || (item.bundleId ? `bundle-${item.bundleId}` : `giftcard-${item.giftCardAmount}`)).substring(0, 127),
+                    })),
+                },
+            ],
+            application_context: {
+                brand_name: 'Waslerr',
+                user_action: 'PAY_NOW',
+                return_url: checkout.returnUrl,
+                cancel_url: checkout.cancelUrl,
+                shipping_preference: 'NO_SHIPPING',
+            },
+        },
+    });
+
+    if (!data.id) {
+        return { error: 'PayPal order creation failed', details: data };
+    }
+
+    const approveLink = data.links?.find((link) => link.rel === 'payer-action' || link.rel === 'approve');
+    if (!approveLink) {
+        throw new Error('No approval URL found in PayPal response');
+    }
+
+    return {
+        id: data.id,
+        approvalUrl: approveLink.href,
+        details: { create_time: data.create_time, links: data.links },
+    };
+}
+
+async function capture(providerOrderId) {
+    const { data } = await paypalRequest(`/v2/checkout/orders/${providerOrderId}/capture`, { body: {} });
+
+    if (data.status === 'COMPLETED') {
+        return { status: 'completed', paymentId: paymentIdFromDetails(data), details: data };
+    }
+    // Webhook ya doosri request pehle capture kar chuki
+    if (data.details?.some((d) => d.issue === 'ORDER_ALREADY_CAPTURED')) {
+        return { status: 'already_captured', paymentId: null, details: data };
+    }
+    return { status: 'failed', paymentId: null, details: data };
+}
+
+async function refund({ paymentId, amount, currency, reason, requestId }) {
+    const { data } = await paypalRequest(`/v2/payments/captures/${paymentId}/refund`, {
+        headers: { 'PayPal-Request-Id': requestId },
+        body: {
+            amount: money(currency, amount),
+            note_to_payer: reason ? String(reason).substring(0, 255) : undefined,
+        },
+    });
+
+    if (!data.id || !['COMPLETED', 'PENDING'].includes(data.status)) {
+        return { error: 'PayPal refund failed', details: data };
+    }
+    return { id: data.id, status: data.status, details: data };
+}
+
+// PayPal ke verify API se signature check — Returns { event: { id, type, resource } } ya { error }
+async function verifyWebhook(req) {
+    const event = req.body;
+    if (!event || !event.id || !event.event_type) {
+        return { error: 'Invalid webhook payload' };
+    }
+    if (!(await verifyWebhookSignature(req.headers, event))) {
+        return { error: 'Invalid webhook signature' };
+    }
+    return { event: { id: event.id, type: event.event_type, resource: event.resource || {} } };
+}
+
+module.exports = {
+    name: 'paypal',
+    label: 'PayPal',
+    isEnabled: () => !!(process.env.PAYPAL_CLIENT_ID && process.env.PAYPAL_CLIENT_SECRET),
+    createCheckout,
+    capture,
+    refund,
+    verifyWebhook,
+    paymentIdFromDetails,
+};
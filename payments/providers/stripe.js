@@ -0,0 +1,137 @@
+const { stripeRequest, verifyWebhookSignature } = require('../../config/stripe');
+const { roundMoney } = require('../../utils/money');
+const { isZeroDecimalCurrency } = require('../../utils/currency');
+
+// Stripe Checkout — hosted page par payment, session id hi hamara providerOrderId
+// Card payment wahin capture ho jata hai; "capture" yahan session ka status padhna hai (async methods webhook se complete)
+
+// Zero-decimal currencies (utils/currency) mein Stripe amount bina decimals ke leta hai
+const minorFactor = (currency) => (isZeroDecimalCurrency(currency) ? 1 : 100);
+const toMinorUnits = (amount, currency) => Math.round(amount * minorFactor(currency));
+const fromMinorUnits = (amount, currency) => roundMoney((Number(amount) || 0) / minorFactor(currency));
+
+const lineItem = (name, amount, quantity, currency) => ({
+    price_data: {
+        currency: currency.toLowerCase(),
+        unit_amount: toMinorUnits(amount, currency),
+        product_data: { name: name.substring(0, 250) },
+    },
+    quantity,
+});
+
+async function createCheckout(checkout) {
+    const { currency } = checkout;
+
+    // 2 decimal wale amounts whole units mein round hote — Stripe ka charge order total se match nahi karta
+    if (isZeroDecimalCurrency(currency)) {
+        return { error: `Stripe checkout is not available in ${currency}`, details: { currency } };
+    }
+
+    // Stripe line items negative nahi hote — tax/extra alag lines, coupon + store credit ek one-time coupon se
+    const lineItems = checkout.items.map(item => lineItem(`${item.title} by ${item.artist}`, item.price, item.quantity, currency));
+    if (checkout.tax.amount > 0) {
+        lineItems.push(lineItem(`${checkout.tax.name || 'Tax'} (${checkout.tax.rate}%)`, checkout.tax.amount, 1, currency));
+    }
+    if (checkout.extraAmount > 0) {
+        lineItems.push(lineItem('Extra support', checkout.extraAmount, 1, currency));
+    }
+
+    const params = {
+        mode: 'payment',
+        line_items: lineItems,
+        success_url: `${checkout.returnUrl}?provider=stripe&session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: checkout.cancelUrl,
+        client_reference_id: checkout.orderId,
+        customer_email: checkout.email,
+        metadata: { orderId: checkout.orderId },
+        payment_intent_data: { metadata: { orderId: checkout.orderId } },
+    };
+
+    const reduction = roundMoney(checkout.discount + checkout.creditApplied);
+    if (reduction > 0) {
+        const { data: coupon } = await stripeRequest('/v1/coupons', {
+            idempotencyKey: `${checkout.requestId}-discount`,
+            params: {
+                amount_off: toMinorUnits(reduction, currency),
+                currency: currency.toLowerCase(),
+                duration: 'once',
+                max_redemptions: 1,
+                name: checkout.creditApplied > 0 ? 'Discount and store credit' : 'Discount',
+            },
+        });
+        if (!coupon.id) {
+            return { error: 'Stripe discount creation failed', details: coupon };
+        }
+        params.discounts = [{ coupon: coupon.id }];
+    }
+
+    const { data } = await stripeRequest('/v1/checkout/sessions', { params, idempotencyKey: checkout.requestId });
+    if (!data.id || !data.url) {
+        return { error: 'Stripe checkout session creation failed', details: data };
+    }
+
+    return {
+        id: data.id,
+        approvalUrl: data.url,
+        details: { created: data.created, expires_at: data.expires_at, payment_intent: data.payment_intent || null },
+    };
+}
+
+async function capture(providerOrderId) {
+    const { data } = await stripeRequest(`/v1/checkout/sessions/${encodeURIComponent(providerOrderId)}`, { method: 'GET' });
+
+    if (['paid', 'no_payment_required'].includes(data.payment_status)) {
+        return { status: 'completed', paymentId: data.payment_intent || null, details: data };
+    }
+    if (!data.id || data.status === 'expired') {
+        return { status: 'failed', paymentId: null, details: data };
+    }
+    // Session open hai ya async payment (bank debit etc.) processing mein — webhook complete karega
+    return { status: 'pending', paymentId: null, details: data };
+}
+
+async function refund({ paymentId, amount, currency, reason, requestId }) {
+    const { data } = await stripeRequest('/v1/refunds', {
+        idempotencyKey: requestId,
+        params: {
+            payment_intent: paymentId,
+            amount: toMinorUnits(amount, currency),
+            metadata: reason ? { reason: String(reason).substring(0, 255) } : undefined,
+        },
+    });
+
+    if (!data.id || !['succeeded', 'pending', 'requires_action'].includes(data.status)) {
+        return { error: 'Stripe refund failed', details: data };
+    }
+    // Admin response/records PayPal jaise statuses mein
+    return { id: data.id, status: data.status === 'succeeded' ? 'COMPLETED' : 'PENDING', details: data };
+}
+
+// Signature raw body par hota hai (server.js express.json verify req.rawBody rakhta hai)
+// Returns { event: { id, type, resource } } ya { error }
+async function verifyWebhook(req) {
+    if (!verifyWebhookSignature(req.rawBody, req.headers['stripe-signature'])) {
+        return { error: 'Invalid webhook signature' };
+    }
+
+    const event = req.body;
+    if (!event || !event.id || !event.type) {
+        return { error: 'Invalid webhook payload' };
+    }
+    return { event: { id: event.id, type: event.type, resource: event.data?.object || {} } };
+}
+
+// Stripe mein payment id hamesha capture/webhook se save hota hai — session object mein bhi hota hai
+const paymentIdFromDetails = (details) => details?.payment_intent || null;
+
+module.exports = {
+    name: 'stripe',
+    label: 'Stripe',
+    isEnabled: () => !!process.env.STRIPE_SECRET_KEY,
+    createCheckout,
+    capture,
+    refund,
+    verifyWebhook,
+    paymentIdFromDetails,
+    fromMinorUnits,
+};
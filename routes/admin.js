@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const Admin = require('../models/Admin');
+const { requireAdmin } = require('../middleware/auth');
+const { templates, findTemplate, renderEmail } = require('../emails');
 
 // ─────────────────────────────────────────────
 // POST /api/admin/seed
@@ -53,6 +55,7 @@ router.post('/login', async (req, res) => {
 
     res.status(200).json({
       message: 'Login successful',
+      token: admin.getSignedToken(), // 👈 baaki admin routes par Bearer token bhejo
       username: admin.username,
       sessionVersion: admin.sessionVersion, // 👈 version bhejo
     });
@@ -63,13 +66,15 @@ router.post('/login', async (req, res) => {
 
 // ─────────────────────────────────────────────
 // POST /api/admin/change-password
-// Body: { username, currentPassword, newPassword }
+// Header: Authorization: Bearer <admin token>
+// Body: { currentPassword, newPassword }
+// sessionVersion badhta hai — saare purane admin tokens turant invalid
 // ─────────────────────────────────────────────
-router.post('/change-password', async (req, res) => {
+router.post('/change-password', requireAdmin, async (req, res) => {
   try {
-    const { username, currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword } = req.body;
 
-    if (!username || !currentPassword || !newPassword) {
+    if (!currentPassword || !newPassword) {
       return res.status(400).json({ message: 'All fields required' });
     }
 
@@ -77,7 +82,7 @@ router.post('/change-password', async (req, res) => {
       return res.status(400).json({ message: 'New password must be at least 6 characters' });
     }
 
-    const admin = await Admin.findOne({ username });
+    const admin = await Admin.findById(req.admin._id);
     if (!admin) {
       return res.status(404).json({ message: 'Admin not found' });
     }
@@ -122,4 +127,46 @@ router.post('/verify', async (req, res) => {
   }
 });
 
+// ─────────────────────────────────────────────
+// GET /api/admin/email-templates
+// Saare email templates ke naam + sample data
+// ─────────────────────────────────────────────
+router.get('/email-templates', requireAdmin, (req, res) => {
+  res.status(200).json({
+    templates: Object.keys(templates).map((name) => ({
+      name,
+      sampleData: templates[name].sampleData,
+    })),
+  });
+});
+
+// ─────────────────────────────────────────────
+// GET  /api/admin/email-templates/:name/preview?format=html|text
+// POST /api/admin/email-templates/:name/preview  Body: { data } — sample data override
+// ─────────────────────────────────────────────
+const previewTemplate = (req, res) => {
+  const template = findTemplate(req.params.name);
+  if (!template) {
+    return res.status(404).json({ message: 'Template not found' });
+  }
+
+  try {
+    const data = { ...template.sampleData, ...(req.body?.data || {}) };
+    const { subject, html, text } = renderEmail(req.params.name, data);
+
+    if (req.query.format === 'text') {
+      return res.type('text/plain').send(text);
+    }
+    if (req.query.format === 'json') {
+      return res.status(200).json({ subject, html, text });
+    }
+    res.type('html').send(html);
+  } catch (err) {
+    res.status(400).json({ message: 'Template render failed', error: err.message });
+  }
+};
+
+router.get('/email-templates/:name/preview', requireAdmin, previewTemplate);
+router.post('/email-templates/:name/preview', requireAdmin, previewTemplate);
+
 module.exports = router;
\ No newline at end of file
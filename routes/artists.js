@@ -0,0 +1,237 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+const { cloudinary, upload } = require('../config/cloudinary');
+const { requireAdmin } = require('../middleware/auth');
+const { slugify, cleanName, syncProductArtistName } = require('../utils/artists');
+const { buildCatalogPipeline, toFacet } = require('../utils/catalogQuery');
+
+// links multipart mein JSON string aata hai — [{ label, url }], sirf http(s) URLs
+function parseLinks(value) {
+  let links = value;
+  if (typeof links === 'string') {
+    try {
+      links = JSON.parse(links);
+    } catch (err) {
+      return { error: 'Invalid links format' };
+    }
+  }
+  if (!Array.isArray(links)) return { error: 'Invalid links format' };
+
+  const cleaned = [];
+  for (const link of links) {
+    const label = typeof link?.label === 'string' ? link.label.trim() : '';
+    const url = typeof link?.url === 'string' ? link.url.trim() : '';
+    if (!label || !/^https?:\/\//i.test(url)) {
+      return { error: 'Each link needs a label and an http(s) url' };
+    }
+    cleaned.push({ label, url });
+  }
+  return { links: cleaned };
+}
+
+// Validation fail hui toh abhi upload hua avatar Cloudinary se hatao
+const discardAvatar = async (req) => {
+  if (!req.file) return;
+  try {
+    await cloudinary.uploader.destroy(req.file.filename);
+  } catch (err) {
+    console.error('Avatar cleanup error:', err);
+  }
+};
+
+// ─────────────────────────────────────────────
+// GET /api/artists
+// Public — active artists, naam ke order mein, har ek ke active products ki ginti ke saath
+// ─────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const artists = await Artist.find({ isActive: true }).sort({ name: 1 }).lean();
+    const counts = await Product.aggregate([
+      { $match: { isActive: true, artistId: { $in: artists.map(a => a._id) } } },
+      { $group: { _id: '$artistId', count: { $sum: 1 } } },
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    res.json({
+      success: true,
+      artists: artists.map(a => ({ ...a, productCount: countMap.get(a._id.toString()) || 0 })),
+    });
+  } catch (err) {
+    console.error('Get artists error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/artists/:slug
+// Public artist profile
+// ─────────────────────────────────────────────
+router.get('/:slug', async (req, res) => {
+  try {
+    const artist = await Artist.findOne({ slug: req.params.slug.toLowerCase(), isActive: true }).lean();
+    if (!artist) {
+      return res.status(404).json({ success: false, error: 'Artist not found' });
+    }
+
+    const productCount = await Product.countDocuments({ artistId: artist._id, isActive: true });
+
+    res.json({ success: true, artist: { ...artist, productCount } });
+  } catch (err) {
+    console.error('Get artist error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/artists/:slug/products
+// Public — artist ke active products; GET /api/products jaise hi search/sort/price/category params
+// ─────────────────────────────────────────────
+router.get('/:slug/products', async (req, res) => {
+  try {
+    const artist = await Artist.findOne({ slug: req.params.slug.toLowerCase(), isActive: true }).lean();
+    if (!artist) {
+      return res.status(404).json({ success: false, error: 'Artist not found' });
+    }
+
+    const catalog = buildCatalogPipeline({ ...req.query, artist: undefined }, { artistId: artist._id });
+    if (catalog.error) {
+      return res.status(400).json({ success: false, error: catalog.error });
+    }
+
+    const [result] = await Product.aggregate(catalog.pipeline);
+    const total = result.total[0]?.count || 0;
+
+    res.json({
+      success: true,
+      artist: { _id: artist._id, slug: artist.slug, name: artist.name, avatar: artist.avatar },
+      products: result.products,
+      totalPages: Math.ceil(total / catalog.limit),
+      currentPage: catalog.page,
+      total,
+      sort: catalog.sort,
+      facets: { categories: toFacet(result.categories) },
+    });
+  } catch (err) {
+    console.error('Get artist products error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/artists
+// Admin — multipart/form-data: name, slug?, bio?, links? (JSON), avatar? (image)
+// ─────────────────────────────────────────────
+router.post('/', requireAdmin, upload.single('avatar'), async (req, res) => {
+  try {
+    const name = cleanName(req.body.name);
+    const slug = slugify(req.body.slug || name);
+    if (!name || !slug) {
+      await discardAvatar(req);
+      return res.status(400).json({ success: false, error: 'Artist name is required' });
+    }
+
+    let links = [];
+    if (req.body.links !== undefined) {
+      const parsed = parseLinks(req.body.links);
+      if (parsed.error) {
+        await discardAvatar(req);
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      links = parsed.links;
+    }
+
+    if (await Artist.exists({ slug })) {
+      await discardAvatar(req);
+      return res.status(409).json({ success: false, error: `An artist with slug "${slug}" already exists` });
+    }
+
+    const artist = await Artist.create({
+      slug,
+      name,
+      bio: req.body.bio || '',
+      avatar: req.file ? { url: req.file.path, publicId: req.file.filename } : undefined,
+      links,
+      createdByAdmin: req.admin._id,
+    });
+
+    res.status(201).json({ success: true, artist, message: 'Artist created successfully' });
+  } catch (err) {
+    console.error('Create artist error:', err);
+    await discardAvatar(req);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/artists/:id
+// Admin — name, slug, bio, links, isActive, avatar (naya avatar purane ko replace karta hai)
+// Naam badla toh products par copy kiya naam bhi update hota hai
+// ─────────────────────────────────────────────
+router.put('/:id', requireAdmin, upload.single('avatar'), async (req, res) => {
+  try {
+    const artist = mongoose.Types.ObjectId.isValid(req.params.id) ? await Artist.findById(req.params.id) : null;
+    if (!artist) {
+      await discardAvatar(req);
+      return res.status(404).json({ success: false, error: 'Artist not found' });
+    }
+
+    const { name, slug, bio, links, isActive } = req.body;
+
+    if (name !== undefined) {
+      if (!cleanName(name)) {
+        await discardAvatar(req);
+        return res.status(400).json({ success: false, error: 'Artist name is required' });
+      }
+      artist.name = cleanName(name);
+    }
+
+    if (slug !== undefined) {
+      const newSlug = slugify(slug);
+      if (!newSlug) {
+        await discardAvatar(req);
+        return res.status(400).json({ success: false, error: 'Invalid slug' });
+      }
+      if (newSlug !== artist.slug && await Artist.exists({ slug: newSlug })) {
+        await discardAvatar(req);
+        return res.status(409).json({ success: false, error: `An artist with slug "${newSlug}" already exists` });
+      }
+      artist.slug = newSlug;
+    }
+
+    if (links !== undefined) {
+      const parsed = parseLinks(links);
+      if (parsed.error) {
+        await discardAvatar(req);
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      artist.links = parsed.links;
+    }
+
+    if (bio !== undefined) artist.bio = bio;
+    if (isActive !== undefined) artist.isActive = isActive === true || isActive === 'true';
+
+    const oldAvatarId = req.file ? artist.avatar?.publicId : null;
+    if (req.file) {
+      artist.avatar = { url: req.file.path, publicId: req.file.filename };
+    }
+
+    const renamed = artist.isModified('name');
+    await artist.save();
+
+    if (renamed) await syncProductArtistName(artist);
+    if (oldAvatarId) {
+      cloudinary.uploader.destroy(oldAvatarId).catch(err => console.error('Old avatar cleanup error:', err));
+    }
+
+    res.json({ success: true, artist, message: 'Artist updated successfully' });
+  } catch (err) {
+    console.error('Update artist error:', err);
+    await discardAvatar(req);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Bundle = require('../models/Bundle');
+const Product = require('../models/Product');
+const { cloudinary, upload } = require('../config/cloudinary');
+const { requireAdmin } = require('../middleware/auth');
+const { bundleArtist, resolveBundleItems } = require('../utils/bundles');
+
+// items multipart mein JSON string aata hai — [{ productId, versionId }]
+// Har version exist aur active hona chahiye, same version do baar nahi
+async function parseBundleItems(value) {
+  let items = value;
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (err) {
+      return { error: 'Invalid items format' };
+    }
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: 'A bundle needs at least one item' };
+  }
+
+  const seen = new Set();
+  for (const item of items) {
+    if (!mongoose.Types.ObjectId.isValid(String(item?.productId)) || !mongoose.Types.ObjectId.isValid(String(item?.versionId))) {
+      return { error: 'Each item needs a valid productId and versionId' };
+    }
+    if (seen.has(String(item.versionId))) {
+      return { error: 'The same version is listed twice' };
+    }
+    seen.add(String(item.versionId));
+  }
+
+  const products = await Product.find({ _id: { $in: items.map(item => item.productId) } });
+  const cleaned = [];
+  for (const item of items) {
+    const product = products.find(p => p._id.toString() === String(item.productId));
+    const version = product ? product.versions.id(item.versionId) : null;
+    if (!version) {
+      return { error: `Version ${item.versionId} not found on product ${item.productId}` };
+    }
+    if (!product.isActive || version.isActive === false) {
+      return { error: `"${product.title}" — ${version.name} is not available for sale` };
+    }
+    cleaned.push({ product: product._id, versionId: version._id });
+  }
+  return { items: cleaned };
+}
+
+function parsePrice(value) {
+  const price = Number(value);
+  return value === '' || value === null || value === undefined || isNaN(price) || price < 0 ? null : price;
+}
+
+// Public response — included versions ki details aur alag-alag khareedne ka total (compareAtPrice)
+async function describeBundle(bundle) {
+  const contents = await resolveBundleItems(bundle);
+  const data = bundle.toObject ? bundle.toObject() : bundle;
+  if (contents.error) {
+    return { ...data, available: false, items: [], compareAtPrice: null };
+  }
+  return {
+    ...data,
+    available: bundle.isActive,
+    artist: bundleArtist(contents.items),
+    items: contents.items,
+    compareAtPrice: Math.round(contents.items.reduce((sum, item) => sum + item.price, 0) * 100) / 100,
+  };
+}
+
+// removeImages multipart mein JSON string aata hai — ["publicId", ...]
+function parseRemoveImages(value) {
+  let publicIds = value;
+  if (typeof publicIds === 'string') {
+    try {
+      publicIds = JSON.parse(publicIds);
+    } catch (err) {
+      return { error: 'Invalid removeImages format' };
+    }
+  }
+  if (!Array.isArray(publicIds) || publicIds.some(id => typeof id !== 'string')) {
+    return { error: 'removeImages must be an array of image publicIds' };
+  }
+  return { publicIds };
+}
+
+const discardImages = async (req) => {
+  for (const file of req.files || []) {
+    try {
+      await cloudinary.uploader.destroy(file.filename);
+    } catch (err) {
+      console.error('Cleanup error:', err);
+    }
+  }
+};
+
+// ─────────────────────────────────────────────
+// GET /api/bundles
+// Public — active bundles (jin ka koi item ab bik nahi sakta woh nahi dikhte)
+// ─────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const bundles = await Bundle.find({ isActive: true }).sort({ createdAt: -1 });
+    const described = await Promise.all(bundles.map(describeBundle));
+
+    res.json({ success: true, bundles: described.filter(b => b.available) });
+  } catch (err) {
+    console.error('Get bundles error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// GET /api/bundles/admin/all — admin, inactive/unavailable bundles bhi
+router.get('/admin/all', requireAdmin, async (req, res) => {
+  try {
+    const bundles = await Bundle.find().sort({ createdAt: -1 });
+    res.json({ success: true, bundles: await Promise.all(bundles.map(describeBundle)) });
+  } catch (err) {
+    console.error('Admin bundles error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// GET /api/bundles/:id — public bundle detail
+router.get('/:id', async (req, res) => {
+  try {
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Bundle.findOne({ _id: req.params.id, isActive: true })
+      : null;
+    if (!bundle) {
+      return res.status(404).json({ success: false, error: 'Bundle not found' });
+    }
+
+    res.json({ success: true, bundle: await describeBundle(bundle) });
+  } catch (err) {
+    console.error('Get bundle error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/bundles
+// Admin — multipart/form-data: title, description?, price, items (JSON), images (1-5)
+// ─────────────────────────────────────────────
+router.post('/', requireAdmin, upload.array('images', 5), async (req, res) => {
+  try {
+    const { title, description } = req.body;
+    const price = parsePrice(req.body.price);
+
+    if (!title || price === null) {
+      await discardImages(req);
+      return res.status(400).json({ success: false, error: 'Title and a valid price are required' });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, error: 'At least one image is required' });
+    }
+
+    const parsed = await parseBundleItems(req.body.items);
+    if (parsed.error) {
+      await discardImages(req);
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const bundle = await Bundle.create({
+      title,
+      description: description || '',
+      price,
+      items: parsed.items,
+      images: req.files.map(file => ({ url: file.path, publicId: file.filename })),
+      createdByAdmin: req.admin._id,
+    });
+
+    res.status(201).json({ success: true, bundle: await describeBundle(bundle), message: 'Bundle created successfully' });
+  } catch (err) {
+    console.error('Create bundle error:', err);
+    await discardImages(req);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/bundles/:id
+// Admin — title, description, price, items (JSON), isActive, removeImages (JSON publicIds), newImages
+// Purane orders apne bundleItems snapshot se chalte hain, items badalne se unke entitlements nahi badalte
+// ─────────────────────────────────────────────
+router.put('/:id', requireAdmin, upload.array('newImages', 5), async (req, res) => {
+  try {
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id) ? await Bundle.findById(req.params.id) : null;
+    if (!bundle) {
+      await discardImages(req);
+      return res.status(404).json({ success: false, error: 'Bundle not found' });
+    }
+
+    const { title, description, items, isActive, removeImages } = req.body;
+
+    if (req.body.price !== undefined) {
+      const price = parsePrice(req.body.price);
+      if (price === null) {
+        await discardImages(req);
+        return res.status(400).json({ success: false, error: 'Invalid price' });
+      }
+      bundle.price = price;
+    }
+
+    let imagesToRemove = [];
+    if (removeImages) {
+      const parsedRemove = parseRemoveImages(removeImages);
+      if (parsedRemove.error) {
+        await discardImages(req);
+        return res.status(400).json({ success: false, error: parsedRemove.error });
+      }
+      imagesToRemove = parsedRemove.publicIds;
+    }
+
+    if (items !== undefined) {
+      const parsed = await parseBundleItems(items);
+      if (parsed.error) {
+        await discardImages(req);
+        return res.status(400).json({ success: false, error: parsed.error });
+      }
+      bundle.items = parsed.items;
+    }
+
+    if (title) bundle.title = title;
+    if (description !== undefined) bundle.description = description;
+    if (isActive !== undefined) bundle.isActive = isActive === true || isActive === 'true';
+
+    for (const publicId of imagesToRemove) {
+      try {
+        await cloudinary.uploader.destroy(publicId);
+        bundle.images = bundle.images.filter(img => img.publicId !== publicId);
+      } catch (err) {
+        console.error('Error removing image:', err);
+      }
+    }
+    if (req.files && req.files.length > 0) {
+      bundle.images.push(...req.files.map(file => ({ url: file.path, publicId: file.filename })));
+    }
+
+    await bundle.save();
+
+    res.json({ success: true, bundle: await describeBundle(bundle), message: 'Bundle updated successfully' });
+  } catch (err) {
+    console.error('Update bundle error:', err);
+    await discardImages(req);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// DELETE /api/bundles/:id
+// Admin — sirf deactivate; orders bundle ko refer karte hain isliye document nahi hatate
+// ─────────────────────────────────────────────
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const bundle = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Bundle.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true })
+      : null;
+    if (!bundle) {
+      return res.status(404).json({ success: false, error: 'Bundle not found' });
+    }
+
+    res.json({ success: true, message: 'Bundle deactivated' });
+  } catch (err) {
+    console.error('Delete bundle error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const router = express.Router();
+const ExchangeRate = require('../models/ExchangeRate');
+const { requireAdmin } = require('../middleware/auth');
+const { BASE_CURRENCY, CURRENCY_CODE_REGEX, ZERO_DECIMAL_CURRENCIES, isZeroDecimalCurrency, normalizeCurrency } = require('../utils/currency');
+
+// ─────────────────────────────────────────────
+// GET /api/currencies
+// Public — cart ke currency picker ke liye: base + active rates (1 USD = rate)
+// Zero-decimal currencies (purane rates) nahi dikhte — checkout unhe price nahi karta
+// ─────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({ isActive: true, currency: { $nin: ZERO_DECIMAL_CURRENCIES } })
+      .sort({ currency: 1 })
+      .lean();
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      currencies: [
+        { currency: BASE_CURRENCY, rate: 1 },
+        ...rates.map(r => ({ currency: r.currency, rate: r.rate, updatedAt: r.updatedAt })),
+      ],
+    });
+  } catch (err) {
+    console.error('Get currencies error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// GET /api/currencies/admin/all — admin, inactive rates bhi
+router.get('/admin/all', requireAdmin, async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find().sort({ currency: 1 }).lean();
+    res.json({ success: true, base: BASE_CURRENCY, rates });
+  } catch (err) {
+    console.error('Admin currencies error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/currencies/:currency
+// Admin — Body: { rate, isActive? }; rate nahi hai toh naya banta hai
+// Rate badalne se pending orders nahi badalte — order apna exchangeRate snapshot rakhta hai
+// ─────────────────────────────────────────────
+router.put('/:currency', requireAdmin, async (req, res) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    if (!CURRENCY_CODE_REGEX.test(currency)) {
+      return res.status(400).json({ success: false, error: 'Currency must be a 3-letter ISO code' });
+    }
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({ success: false, error: `${BASE_CURRENCY} is the base currency and always has rate 1` });
+    }
+    if (isZeroDecimalCurrency(currency)) {
+      return res.status(400).json({ success: false, error: `${currency} is not supported (payment providers do not accept decimals for it)` });
+    }
+
+    const rate = Number(req.body.rate);
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return res.status(400).json({ success: false, error: 'rate must be a positive number' });
+    }
+
+    const update = { rate, updatedBy: req.admin.username };
+    if (req.body.isActive !== undefined) update.isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ success: true, rate: exchangeRate, message: `${currency} rate saved` });
+  } catch (err) {
+    console.error('Save currency rate error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// DELETE /api/currencies/:currency — admin, sirf deactivate (purane orders ka snapshot rate apne paas hai)
+router.delete('/:currency', requireAdmin, async (req, res) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency: normalizeCurrency(req.params.currency) },
+      { isActive: false, updatedBy: req.admin.username },
+      { new: true }
+    );
+    if (!exchangeRate) {
+      return res.status(404).json({ success: false, error: 'Currency not found' });
+    }
+
+    res.json({ success: true, message: `${exchangeRate.currency} deactivated` });
+  } catch (err) {
+    console.error('Deactivate currency error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Entitlement = require('../models/Entitlement');
+const DownloadLog = require('../models/DownloadLog');
+const Product = require('../models/Product');
+const { getSignedDownloadUrl, resolveEntitledVersion, getDownloadLimit } = require('../utils/downloads');
+
+// req.ip — TRUST_PROXY set ho tabhi X-Forwarded-For padha jaata hai, warna client header se IP spoof kar leta
+const clientIp = (req) => req.ip || null;
+
+// ─────────────────────────────────────────────
+// GET /api/downloads/:token
+// Token /api/library, /api/orders ya reaccess se milta hai (15 min valid)
+// Ownership + download limit check, log, phir 60s presigned R2 URL par redirect
+// ─────────────────────────────────────────────
+router.get('/:token', async (req, res) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(req.params.token, process.env.JWT_SECRET);
+  } catch (err) {
+    return res.status(401).json({ success: false, message: 'Download link is invalid or has expired' });
+  }
+
+  if (!decoded.download || !mongoose.Types.ObjectId.isValid(decoded.download.entitlement)) {
+    return res.status(401).json({ success: false, message: 'Download link is invalid or has expired' });
+  }
+
+  try {
+    const { entitlement: entitlementId, user: userId } = decoded.download;
+
+    const entitlement = await Entitlement.findOne({ _id: entitlementId, user: userId, revokedAt: null });
+    if (!entitlement) {
+      return res.status(403).json({ success: false, message: 'You no longer have access to this file' });
+    }
+
+    const product = await Product.findById(entitlement.product);
+    const version = product ? resolveEntitledVersion(product, entitlement) : null;
+    if (!version || !version.r2MusicFile) {
+      return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    // Count sirf tab badhao jab limit ke andar ho — conditional update, parallel clicks bhi limit cross nahi karte
+    const limit = getDownloadLimit(entitlement);
+    const filter = { _id: entitlement._id, revokedAt: null };
+    if (limit !== null) filter.downloadCount = { $lt: limit };
+
+    const counted = await Entitlement.findOneAndUpdate(
+      filter,
+      { $inc: { downloadCount: 1 }, lastDownloadedAt: new Date() },
+      { new: true }
+    );
+    if (!counted) {
+      return res.status(429).json({
+        success: false,
+        message: 'Download limit reached for this purchase. Please contact support.',
+        downloadLimit: limit,
+      });
+    }
+
+    await DownloadLog.create({
+      entitlement: entitlement._id,
+      user: entitlement.user,
+      product: entitlement.product,
+      order: entitlement.order,
+      versionName: version.name,
+      ip: clientIp(req),
+      userAgent: req.get('user-agent') || null,
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, getSignedDownloadUrl(version.r2MusicFile));
+  } catch (err) {
+    console.error('Download error:', err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router({ mergeParams: true });
+const Product = require('../models/Product');
+const { requireAdmin } = require('../middleware/auth');
+const { parseVersionInput, versionPricingError, findVersion, attachObjectInfo, applyVersionFields } = require('../utils/productVersions');
+
+// Mounted at /api/products/:id/versions — sab routes admin-only
+router.use(requireAdmin);
+
+// :id se product load karo, warna 404
+router.use(async (req, res, next) => {
+  try {
+    const product = mongoose.Types.ObjectId.isValid(req.params.id) ? await Product.findById(req.params.id) : null;
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    req.product = product;
+    next();
+  } catch (err) {
+    console.error('Load product error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+const missingKeysResponse = (res, missingKeys) => res.status(400).json({
+  success: false,
+  error: 'Some r2MusicFile keys do not exist in the bucket',
+  missingKeys,
+});
+
+// ─────────────────────────────────────────────
+// POST /api/products/:id/versions
+// Body: { name, pricingMode?, price, suggestedPrice?, r2MusicFile, features? } — naya version end mein judta hai
+// ─────────────────────────────────────────────
+router.post('/', async (req, res) => {
+  try {
+    const parsed = parseVersionInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    const missingKeys = await attachObjectInfo([parsed.version]);
+    if (missingKeys.length > 0) return missingKeysResponse(res, missingKeys);
+
+    const product = req.product;
+    product.versions.push(parsed.version);
+    await product.save();
+
+    res.status(201).json({
+      success: true,
+      product,
+      version: product.versions[product.versions.length - 1],
+      message: 'Version added successfully',
+    });
+  } catch (err) {
+    console.error('Add version error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/products/:id/versions/order
+// Body: { versionIds: [...] } — product ke saare version IDs, naye order mein
+// Carts/orders versionId use karte hain, isliye reorder se kuch nahi toot-ta
+// ─────────────────────────────────────────────
+router.put('/order', async (req, res) => {
+  try {
+    const { versionIds } = req.body;
+    const product = req.product;
+
+    const ids = Array.isArray(versionIds) ? versionIds.map(String) : [];
+    const current = product.versions.map(v => v._id.toString());
+    const isPermutation = ids.length === current.length
+      && new Set(ids).size === ids.length
+      && ids.every(id => current.includes(id));
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        error: 'versionIds must list every version of this product exactly once',
+      });
+    }
+
+    product.versions = ids.map(id => product.versions.id(id));
+    await product.save();
+
+    res.json({ success: true, product, message: 'Versions reordered successfully' });
+  } catch (err) {
+    console.error('Reorder versions error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/products/:id/versions/:versionId
+// Body: { name?, pricingMode?, price?, suggestedPrice?, prices?, r2MusicFile?, features? } — sirf bheje gaye fields badalte hain
+// ─────────────────────────────────────────────
+router.put('/:versionId', async (req, res) => {
+  try {
+    const product = req.product;
+    const version = findVersion(product, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    const parsed = parseVersionInput(req.body, { partial: true });
+    if (parsed.error) {
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+    if (Object.keys(parsed.version).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    if (parsed.version.r2MusicFile && parsed.version.r2MusicFile !== version.r2MusicFile) {
+      const missingKeys = await attachObjectInfo([parsed.version]);
+      if (missingKeys.length > 0) return missingKeysResponse(res, missingKeys);
+      parsed.version.uploadedAt = null;
+    }
+
+    applyVersionFields(version, parsed.version);
+    const pricingError = versionPricingError(version);
+    if (pricingError) {
+      return res.status(400).json({ success: false, error: pricingError });
+    }
+    await product.save();
+
+    res.json({ success: true, product, version, message: 'Version updated successfully' });
+  } catch (err) {
+    console.error('Update version error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// POST /api/products/:id/versions/:versionId/retire
+// Version ab bikta nahi, par delete nahi hota — jinhone khareeda hai woh download kar sakte hain
+// ─────────────────────────────────────────────
+router.post('/:versionId/retire', async (req, res) => {
+  try {
+    const product = req.product;
+    const version = findVersion(product, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    if (version.isActive !== false) {
+      version.isActive = false;
+      version.retiredAt = new Date();
+      await product.save();
+    }
+
+    res.json({ success: true, product, version, message: 'Version retired' });
+  } catch (err) {
+    console.error('Retire version error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// POST /api/products/:id/versions/:versionId/restore — retired version dobara sale par
+router.post('/:versionId/restore', async (req, res) => {
+  try {
+    const product = req.product;
+    const version = findVersion(product, req.params.versionId);
+    if (!version) {
+      return res.status(404).json({ success: false, error: 'Version not found' });
+    }
+
+    version.isActive = true;
+    version.retiredAt = null;
+    await product.save();
+
+    res.json({ success: true, product, version, message: 'Version restored' });
+  } catch (err) {
+    console.error('Restore version error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+module.exports = router;
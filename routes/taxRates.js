@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const TaxRate = require('../models/TaxRate');
+const Order = require('../models/Order');
+const { requireAdmin } = require('../middleware/auth');
+const { normalizeCountry } = require('../utils/tax');
+const { roundMoney } = require('../utils/money');
+const { parseDateRange } = require('../utils/reports');
+
+// ─────────────────────────────────────────────
+// GET /api/tax-rates
+// Public — checkout par "incl. VAT" dikhane ke liye active rates
+// ─────────────────────────────────────────────
+router.get('/', async (req, res) => {
+  try {
+    const rates = await TaxRate.find({ isActive: true }).sort({ country: 1 }).lean();
+    res.json({
+      success: true,
+      rates: rates.map(r => ({ country: r.country, rate: r.rate, name: r.name })),
+    });
+  } catch (err) {
+    console.error('Get tax rates error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// GET /api/tax-rates/admin/all — admin, inactive rates bhi
+router.get('/admin/all', requireAdmin, async (req, res) => {
+  try {
+    const rates = await TaxRate.find().sort({ country: 1 }).lean();
+    res.json({ success: true, rates });
+  } catch (err) {
+    console.error('Admin tax rates error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// GET /api/tax-rates/admin/report?from=&to=
+// Admin — completed orders ka tax country + currency ke hisaab se (filing ke liye)
+// Refunds ke baad bhi order ka original tax dikhta hai; refundedAmount alag column mein
+// ─────────────────────────────────────────────
+router.get('/admin/report', requireAdmin, async (req, res) => {
+  try {
+    const match = {
+      status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+      'tax.amount': { $gt: 0 },
+    };
+
+    const dates = parseDateRange(req.query);
+    if (dates.error) {
+      return res.status(400).json({ success: false, error: dates.error });
+    }
+    if (dates.range) match.completedAt = dates.range;
+
+    const rows = await Order.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { country: '$tax.country', currency: { $ifNull: ['$currency', 'USD'] }, rate: '$tax.rate' },
+          name: { $first: '$tax.name' },
+          orders: { $sum: 1 },
+          taxableAmount: { $sum: '$tax.taxableAmount' },
+          taxAmount: { $sum: '$tax.amount' },
+          refundedAmount: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+          evidenceConflicts: { $sum: { $cond: ['$tax.evidence.conflict', 1, 0] } },
+        },
+      },
+      { $sort: { '_id.country': 1, '_id.currency': 1, '_id.rate': -1 } },
+    ]);
+
+    res.json({
+      success: true,
+      from: completedAt.$gte || null,
+      to: completedAt.$lte || null,
+      report: rows.map(row => ({
+        country: row._id.country,
+        currency: row._id.currency,
+        rate: row._id.rate,
+        name: row.name,
+        orders: row.orders,
+        taxableAmount: roundMoney(row.taxableAmount),
+        taxAmount: roundMoney(row.taxAmount),
+        refundedAmount: roundMoney(row.refundedAmount),
+        evidenceConflicts: row.evidenceConflicts,
+      })),
+    });
+  } catch (err) {
+    console.error('Tax report error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// ─────────────────────────────────────────────
+// PUT /api/tax-rates/:country
+// Admin — Body: { rate, name?, isActive? }; country ki row nahi hai toh nayi banti hai
+// Rate badalne se purane orders nahi badalte — order apna tax snapshot rakhta hai
+// ─────────────────────────────────────────────
+router.put('/:country', requireAdmin, async (req, res) => {
+  try {
+    const country = normalizeCountry(req.params.country);
+    if (!country) {
+      return res.status(400).json({ success: false, error: 'Country must be a 2-letter ISO code' });
+    }
+
+    const rate = Number(req.body.rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return res.status(400).json({ success: false, error: 'rate must be a percentage between 0 and 100' });
+    }
+
+    const update = { rate, updatedBy: req.admin.username };
+    if (typeof req.body.name === 'string' && req.body.name.trim()) update.name = req.body.name.trim().slice(0, 30);
+    if (req.body.isActive !== undefined) update.isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    const taxRate = await TaxRate.findOneAndUpdate(
+      { country },
+      update,
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({ success: true, rate: taxRate, message: `${country} tax rate saved` });
+  } catch (err) {
+    console.error('Save tax rate error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+// DELETE /api/tax-rates/:country — admin, sirf deactivate (us country mein tax 0 ho jata hai)
+router.delete('/:country', requireAdmin, async (req, res) => {
+  try {
+    const taxRate = await TaxRate.findOneAndUpdate(
+      { country: normalizeCountry(req.params.country) },
+      { isActive: false, updatedBy: req.admin.username },
+      { new: true }
+    );
+    if (!taxRate) {
+      return res.status(404).json({ success: false, error: 'Tax rate not found' });
+    }
+
+    res.json({ success: true, message: `${taxRate.country} tax rate deactivated` });
+  } catch (err) {
+    console.error('Deactivate tax rate error:', err);
+    res.status(500).json({ success: false, error: 'Server error', message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getProvider } = require('../payments');
+const { completeOrder, failOrder, recordOrderRefund } = require('../utils/orderStatus');
+
+const paypal = getProvider('paypal');
+const stripe = getProvider('stripe');
+
+const relatedOrderId = (resource) => resource?.supplementary_data?.related_ids?.order_id || null;
+
+// Refund resource ka "up" link capture ki taraf point karta hai
+const refundedCaptureId = (resource) => {
+  const up = resource?.links?.find((link) => link.rel === 'up');
+  return up ? up.href.split('/').pop() : null;
+};
+
+const paypalHandlers = {
+  // Buyer ne approve kiya par browser ne capture nahi bulaya — server khud capture kare
+  'CHECKOUT.ORDER.APPROVED': async (resource) => {
+    const providerOrderId = resource.id;
+    const order = await Order.findOne({ paymentProvider: 'paypal', providerOrderId });
+    if (!order) return { providerOrderId, outcome: 'order_not_found' };
+    if (order.status !== 'pending') return { providerOrderId, outcome: 'already_final' };
+
+    const result = await paypal.capture(providerOrderId);
+
+    if (result.status === 'completed') {
+      const updated = await completeOrder('paypal', providerOrderId, { paymentId: result.paymentId, paymentDetails: result.details });
+      return { providerOrderId, outcome: updated ? 'completed' : 'already_final' };
+    }
+
+    if (result.status === 'already_captured') return { providerOrderId, outcome: 'already_captured' };
+
+    // PAYMENT.CAPTURE.DENIED event final state set karega
+    console.error('Webhook capture failed:', result.details);
+    return { providerOrderId, outcome: 'capture_failed' };
+  },
+
+  'PAYMENT.CAPTURE.COMPLETED': async (resource) => {
+    const providerOrderId = relatedOrderId(resource);
+    if (!providerOrderId) return { providerOrderId, outcome: 'order_not_found' };
+
+    const updated = await completeOrder('paypal', providerOrderId, { paymentId: resource.id, paymentDetails: resource });
+    return { providerOrderId, outcome: updated ? 'completed' : 'already_final' };
+  },
+
+  'PAYMENT.CAPTURE.DENIED': async (resource) => {
+    const providerOrderId = relatedOrderId(resource);
+    if (!providerOrderId) return { providerOrderId, outcome: 'order_not_found' };
+
+    const updated = await failOrder('paypal', providerOrderId, resource);
+    return { providerOrderId, outcome: updated ? 'failed' : 'already_final' };
+  },
+
+  // Admin refund route pehle hi record kar chuka ho toh refund id match hoke skip ho jata hai
+  'PAYMENT.CAPTURE.REFUNDED': async (resource) => {
+    const providerOrderId = relatedOrderId(resource);
+    const captureId = refundedCaptureId(resource);
+
+    const match = [];
+    if (providerOrderId) match.push({ providerOrderId });
+    if (captureId) match.push({ providerPaymentId: captureId });
+    if (match.length === 0) return { providerOrderId, outcome: 'order_not_found' };
+
+    const updated = await recordOrderRefund({ paymentProvider: 'paypal', $or: match }, {
+      providerRefundId: resource.id,
+      amount: Number(resource.amount?.value) || 0,
+      reason: resource.note_to_payer || null,
+      source: 'webhook',
+    });
+    return {
+      providerOrderId: updated ? updated.providerOrderId : providerOrderId,
+      outcome: updated ? updated.status : 'already_recorded',
+    };
+  },
+};
+
+// Session paid — card payments checkout.session.completed par, async methods baad mein async_payment_succeeded par
+const completeStripeSession = async (session) => {
+  const updated = await completeOrder('stripe', session.id, { paymentId: session.payment_intent || null, paymentDetails: session });
+  return { providerOrderId: session.id, outcome: updated ? 'completed' : 'already_final' };
+};
+
+// Payment fail ya session expire — coupon reservation aur store credit turant wapas
+const failStripeSession = async (session) => {
+  const updated = await failOrder('stripe', session.id, session);
+  return { providerOrderId: session.id, outcome: updated ? 'failed' : 'already_final' };
+};
+
+const stripeHandlers = {
+  'checkout.session.completed': async (session) => {
+    if (!['paid', 'no_payment_required'].includes(session.payment_status)) {
+      return { providerOrderId: session.id, outcome: 'awaiting_payment' };
+    }
+    return completeStripeSession(session);
+  },
+  'checkout.session.async_payment_succeeded': completeStripeSession,
+  'checkout.session.async_payment_failed': failStripeSession,
+  'checkout.session.expired': failStripeSession,
+
+  // Dashboard se kiya refund bhi record hota hai; admin route wala refund id match hoke skip
+  'refund.created': async (refund) => {
+    if (!refund.payment_intent) return { providerOrderId: null, outcome: 'order_not_found' };
+    if (['failed', 'canceled'].includes(refund.status)) return { providerOrderId: null, outcome: 'refund_failed' };
+
+    const updated = await recordOrderRefund({ paymentProvider: 'stripe', providerPaymentId: refund.payment_intent }, {
+      providerRefundId: refund.id,
+      amount: stripe.fromMinorUnits(refund.amount, refund.currency),
+      reason: refund.metadata?.reason || null,
+      source: 'webhook',
+    });
+    return {
+      providerOrderId: updated ? updated.providerOrderId : null,
+      outcome: updated ? updated.status : 'already_recorded',
+    };
+  },
+};
+
+// Verify → handler → WebhookEvent; same event dobara aaye toh WebhookEvent se skip ho jata hai
+const receiveWebhook = (provider, handlers) => async (req, res) => {
+  try {
+    const verified = await provider.verifyWebhook(req);
+    if (verified.error) {
+      return res.status(400).json({ success: false, message: verified.error });
+    }
+    const { event } = verified;
+
+    const handler = handlers[event.type];
+    if (!handler) {
+      return res.status(200).json({ success: true, ignored: true });
+    }
+
+    const processed = await WebhookEvent.findOne({ eventId: event.id });
+    if (processed) {
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    const result = await handler(event.resource);
+
+    await WebhookEvent.create({
+      eventId: event.id,
+      eventType: event.type,
+      resourceId: event.resource?.id,
+      provider: provider.name,
+      providerOrderId: result.providerOrderId,
+      outcome: result.outcome,
+    });
+
+    res.status(200).json({ success: true, outcome: result.outcome });
+  } catch (err) {
+    // Parallel delivery ne same event pehle record kar diya
+    if (err.code === 11000) {
+      return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    // Non-2xx par provider retry karega
+    console.error(`${provider.label} webhook error:`, err);
+    res.status(500).json({ success: false, message: err.message });
+  }
+};
+
+// ─────────────────────────────────────────────
+// POST /api/webhooks/paypal
+// PayPal webhook receiver — signature verify karke order ko final state mein le jao
+// ─────────────────────────────────────────────
+router.post('/paypal', receiveWebhook(paypal, paypalHandlers));
+
+// ─────────────────────────────────────────────
+// POST /api/webhooks/stripe
+// Stripe webhook receiver — Stripe-Signature raw body par verify hota hai
+// ─────────────────────────────────────────────
+router.post('/stripe', receiveWebhook(stripe, stripeHandlers));
+
+module.exports = router;
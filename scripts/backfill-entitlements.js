@@ -0,0 +1,28 @@
+// One-time migration: entitlements collection se pehle complete hue orders ke liye entitlements banao.
+// Dobara chalana safe hai — grantOrderEntitlements upsert karta hai.
+// Usage: npm run migrate:entitlements
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { grantOrderEntitlements } = require('../utils/entitlements');
+
+async function run() {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const cursor = Order.find({ status: { $in: ['completed', 'partially_refunded'] } }).cursor();
+    let processed = 0;
+
+    for await (const order of cursor) {
+        await grantOrderEntitlements(order);
+        processed++;
+    }
+
+    console.log(`Entitlements backfilled for ${processed} orders`);
+}
+
+run()
+    .catch(err => {
+        console.error('Backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
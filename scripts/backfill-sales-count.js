@@ -0,0 +1,30 @@
+// One-time migration: Product.salesCount purchase entitlements se recompute karo (popularity sort ke liye).
+// Dobara chalana safe hai — count $set hota hai, $inc nahi.
+// Usage: npm run migrate:sales-count
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Entitlement = require('../models/Entitlement');
+const Product = require('../models/Product');
+
+async function run() {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const counts = await Entitlement.aggregate([
+        { $match: { source: 'purchase' } },
+        { $group: { _id: '$product', count: { $sum: 1 } } }
+    ]);
+
+    await Product.updateMany({}, { salesCount: 0 });
+    for (const { _id, count } of counts) {
+        await Product.updateOne({ _id }, { salesCount: count });
+    }
+
+    console.log(`Sales count recomputed for ${counts.length} products`);
+}
+
+run()
+    .catch(err => {
+        console.error('Backfill failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
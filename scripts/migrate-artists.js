@@ -0,0 +1,60 @@
+// One-time migration: Product.artist strings se Artist documents banao aur products ko link karo.
+// Same slug wale naam ("DJ Shanti", "dj  shanti") ek hi Artist mein merge hote hain — sabse zyada use hua spelling naam banta hai.
+// Dobara chalana safe hai — pehle se linked products skip hote hain, existing Artist reuse hota hai.
+// Usage: npm run migrate:artists
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+const { slugify, cleanName } = require('../utils/artists');
+
+async function run() {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const products = await Product.find({ artistId: null }).select('artist').lean();
+
+    // slug → { spellings: Map(name → count), productIds }
+    const groups = new Map();
+    for (const product of products) {
+        const slug = slugify(product.artist);
+        if (!slug) {
+            console.warn(`Skipping product ${product._id}: empty artist`);
+            continue;
+        }
+        if (!groups.has(slug)) groups.set(slug, { spellings: new Map(), productIds: [] });
+
+        const group = groups.get(slug);
+        const name = cleanName(product.artist);
+        group.spellings.set(name, (group.spellings.get(name) || 0) + 1);
+        group.productIds.push(product._id);
+    }
+
+    let created = 0;
+    for (const [slug, group] of groups) {
+        const [commonName] = [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0];
+
+        let artist = await Artist.findOne({ slug });
+        if (!artist) {
+            artist = await Artist.create({ slug, name: commonName });
+            created++;
+        }
+
+        await Product.updateMany(
+            { _id: { $in: group.productIds } },
+            { artistId: artist._id, artist: artist.name }
+        );
+
+        const variants = [...group.spellings.keys()].filter(name => name !== artist.name);
+        const merged = variants.length > 0 ? ` (merged: ${variants.join(', ')})` : '';
+        console.log(`${artist.name} [${slug}] ← ${group.productIds.length} products${merged}`);
+    }
+
+    console.log(`Linked ${products.length} products to ${groups.size} artists (${created} new)`);
+}
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
@@ -0,0 +1,51 @@
+// One-time migration: PayPal-only order fields → provider fields (payments/ layer ke liye).
+//   paypalOrderId → providerOrderId, paypalCaptureId → providerPaymentId, refunds[].paypalRefundId → providerRefundId
+//   paymentProvider: "freeorder-" orders par 'none', baaki 'paypal'
+// Dobara chalana safe hai — sirf woh documents badalte hain jin mein purane fields abhi bhi hain.
+// Usage: npm run migrate:payment-providers
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+
+async function run() {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Schema ke bahar ke fields hain, isliye seedha collection par pipeline update
+    const orders = await Order.collection.updateMany(
+        { paypalOrderId: { $exists: true } },
+        [
+            {
+                $set: {
+                    providerOrderId: '$paypalOrderId',
+                    providerPaymentId: { $ifNull: ['$paypalCaptureId', null] },
+                    paymentProvider: {
+                        $cond: [{ $regexMatch: { input: '$paypalOrderId', regex: /^freeorder-/ } }, 'none', 'paypal']
+                    },
+                    refunds: {
+                        $map: {
+                            input: { $ifNull: ['$refunds', []] },
+                            as: 'refund',
+                            in: { $mergeObjects: ['$$refund', { providerRefundId: '$$refund.paypalRefundId' }] }
+                        }
+                    }
+                }
+            },
+            { $unset: ['paypalOrderId', 'paypalCaptureId', 'refunds.paypalRefundId'] }
+        ]
+    );
+
+    const events = await WebhookEvent.collection.updateMany(
+        { paypalOrderId: { $exists: true } },
+        { $rename: { paypalOrderId: 'providerOrderId' }, $set: { provider: 'paypal' } }
+    );
+
+    console.log(`Migrated ${orders.modifiedCount} orders and ${events.modifiedCount} webhook events`);
+}
+
+run()
+    .catch(err => {
+        console.error('Migration failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
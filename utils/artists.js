@@ -0,0 +1,52 @@
+const Artist = require('../models/Artist');
+const Product = require('../models/Product');
+
+// "  DJ  Shanti! " → "dj-shanti" — case/space/punctuation ka farak ek hi artist mein merge hota hai
+function slugify(value) {
+    return String(value || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+const cleanName = (name) => String(name || '').trim().replace(/\s+/g, ' ');
+
+// Same slug wala artist ho toh woh, warna naya — parallel calls bhi ek hi document banate hain (unique slug)
+async function findOrCreateArtist(name) {
+    const slug = slugify(name);
+    if (!slug) return null;
+
+    try {
+        return await Artist.findOneAndUpdate(
+            { slug },
+            { $setOnInsert: { slug, name: cleanName(name) } },
+            { upsert: true, new: true }
+        );
+    } catch (err) {
+        if (err.code === 11000) return Artist.findOne({ slug });
+        throw err;
+    }
+}
+
+// Product create/update: artistId diya toh woh artist, warna artist naam se find-or-create
+// Returns { artist } ya { error }
+async function resolveProductArtist({ artistId, artist }) {
+    if (artistId) {
+        const found = await Artist.findById(artistId).catch(() => null);
+        if (!found) return { error: 'Artist not found' };
+        return { artist: found };
+    }
+    const created = await findOrCreateArtist(artist);
+    if (!created) return { error: 'Artist is required' };
+    return { artist: created };
+}
+
+// Artist rename hua toh products par copy kiya hua naam bhi badlo (catalog search/facets isi par chalte hain)
+const syncProductArtistName = (artist) => Product.updateMany(
+    { artistId: artist._id },
+    { artist: artist.name }
+);
+
+module.exports = { slugify, cleanName, findOrCreateArtist, resolveProductArtist, syncProductArtistName };
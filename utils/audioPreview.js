@@ -0,0 +1,103 @@
+const s3 = require('../config/r2');
+
+// Server-side preview trimming, bina ffmpeg ke.
+// MP3: frames independent hote hain, CBR bitrate se byte offset nikaal ke cut karte hain (decoder next frame par sync ho jata hai).
+// WAV: PCM data block-align par cut karke RIFF header sizes theek karte hain.
+
+const PROBE_BYTES = 256 * 1024;
+
+const MP3_BITRATES = {
+    // MPEG-1 Layer III
+    1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    // MPEG-2/2.5 Layer III
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+function id3v2Size(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+    const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+    return 10 + size;
+}
+
+// Pehla valid MP3 frame header dhoondo (from offset ke baad) aur bytes/second do
+function probeMp3(buffer, from = 0) {
+    for (let i = from; i < buffer.length - 4; i++) {
+        if (buffer[i] !== 0xff || (buffer[i + 1] & 0xe0) !== 0xe0) continue;
+
+        const versionBits = (buffer[i + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+        const layerBits = (buffer[i + 1] >> 1) & 0x03;   // 1 = Layer III
+        const bitrateIndex = (buffer[i + 2] >> 4) & 0x0f;
+        if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15) continue;
+
+        const table = versionBits === 3 ? MP3_BITRATES[1] : MP3_BITRATES[2];
+        return { audioStart: i, bytesPerSecond: (table[bitrateIndex] * 1000) / 8 };
+    }
+    throw new Error('Could not find an MP3 frame header');
+}
+
+// RIFF chunks parse karke fmt (byteRate, blockAlign) aur data chunk offset
+function probeWav(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') {
+        throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let offset = 12;
+    let fmt = null;
+    while (offset + 8 <= buffer.length) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (id === 'fmt ') {
+            fmt = { byteRate: buffer.readUInt32LE(offset + 16), blockAlign: buffer.readUInt16LE(offset + 20) };
+        } else if (id === 'data') {
+            if (!fmt) break;
+            return { ...fmt, headerLength: offset + 8 };
+        }
+        offset += 8 + size + (size % 2);
+    }
+    throw new Error('Could not find WAV fmt/data chunks');
+}
+
+async function readRange(key, start, end) {
+    const object = await s3.getObject({
+        Bucket: process.env.R2_BUCKET_NAME,
+        Key: key,
+        Range: `bytes=${start}-${end}`,
+    }).promise();
+    return object.Body;
+}
+
+// Master file (R2 key) se excerpt banao — sirf zaroori byte ranges download hote hain
+async function createPreviewClip(key, mimeType, { startSeconds = 0, durationSeconds = 30 } = {}) {
+    const head = await readRange(key, 0, PROBE_BYTES - 1);
+
+    if (['audio/mpeg', 'audio/mp3'].includes(mimeType)) {
+        // Album art wala bada ID3 tag probe window se bahar ho sakta hai
+        const tagSize = id3v2Size(head);
+        const probe = tagSize + 4 < head.length
+            ? { buffer: head, base: 0, from: tagSize }
+            : { buffer: await readRange(key, tagSize, tagSize + PROBE_BYTES - 1), base: tagSize, from: 0 };
+
+        const { audioStart, bytesPerSecond } = probeMp3(probe.buffer, probe.from);
+        const start = probe.base + audioStart + Math.floor(startSeconds * bytesPerSecond);
+        const end = start + Math.ceil(durationSeconds * bytesPerSecond) - 1;
+        return { buffer: await readRange(key, start, end), mimeType: 'audio/mpeg' };
+    }
+
+    if (['audio/wav', 'audio/x-wav', 'audio/wave'].includes(mimeType)) {
+        const { byteRate, blockAlign, headerLength } = probeWav(head);
+        const align = (bytes) => bytes - (bytes % blockAlign);
+        const dataStart = headerLength + align(Math.floor(startSeconds * byteRate));
+        const dataLength = align(Math.ceil(durationSeconds * byteRate));
+
+        const data = await readRange(key, dataStart, dataStart + dataLength - 1);
+        const header = Buffer.from(head.subarray(0, headerLength));
+        header.writeUInt32LE(headerLength - 8 + data.length, 4); // RIFF size
+        header.writeUInt32LE(data.length, headerLength - 4);     // data chunk size
+
+        return { buffer: Buffer.concat([header, data]), mimeType: 'audio/wav' };
+    }
+
+    throw new Error(`Cannot trim a preview from ${mimeType || 'unknown'} files — upload a preview clip instead`);
+}
+
+module.exports = { createPreviewClip, probeMp3, probeWav };
@@ -0,0 +1,41 @@
+const Product = require('../models/Product');
+
+// 1 artist → naam, 2 → "A & B", zyada → "Various Artists"
+function bundleArtist(items) {
+    const artists = [...new Set(items.map(item => item.artist))];
+    if (artists.length === 1) return artists[0];
+    if (artists.length === 2) return artists.join(' & ');
+    return 'Various Artists';
+}
+
+// Bundle ke items current catalog se — koi product inactive ya version retired ho toh bundle bik nahi sakta
+// Returns { items: [{ productId, versionId, version, title, artist, price, image }] } ya { error }
+async function resolveBundleItems(bundle) {
+    const products = await Product.find({ _id: { $in: bundle.items.map(item => item.product) } });
+
+    const items = [];
+    for (const entry of bundle.items) {
+        const product = products.find(p => p._id.toString() === entry.product.toString());
+        const version = product ? product.versions.id(entry.versionId) : null;
+        if (!product || !product.isActive || !version || version.isActive === false) {
+            return { error: `Bundle "${bundle.title}" contains an item that is no longer available` };
+        }
+
+        items.push({
+            productId: product._id.toString(),
+            versionId: version._id,
+            version: version.name,
+            title: product.title,
+            artist: product.artist,
+            price: version.price,
+            image: product.images?.[0]?.url || null,
+        });
+    }
+
+    if (items.length === 0) {
+        return { error: `Bundle "${bundle.title}" is empty` };
+    }
+    return { items };
+}
+
+module.exports = { bundleArtist, resolveBundleItems };
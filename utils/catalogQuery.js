@@ -0,0 +1,121 @@
+// GET /api/products ka aggregation pipeline — text search, filters, sort aur sidebar facets ek hi query mein
+
+const SORTS = {
+    relevance: { score: -1, createdAt: -1 }, // score = $meta textScore, $addFields mein
+    newest: { createdAt: -1 },
+    price_asc: { minPrice: 1, createdAt: -1 },
+    price_desc: { minPrice: -1, createdAt: -1 },
+    popular: { salesCount: -1, createdAt: -1 },
+};
+
+const MAX_LIMIT = 100;
+const MAX_SEARCH_LENGTH = 100;
+
+// "a,b" → { $in: [a, b] }, "a" → a; 'all' ya khali → null
+function listFilter(value) {
+    if (!value || value === 'all') return null;
+    const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    if (values.length === 0) return null;
+    return values.length > 1 ? { $in: values } : values[0];
+}
+
+function parsePrice(value) {
+    if (value === undefined || value === '') return undefined;
+    const price = Number(value);
+    return Number.isFinite(price) && price >= 0 ? price : NaN;
+}
+
+// baseFilter: route ka fixed filter (jaise artist profile page par { artistId })
+// Returns { pipeline, page, limit, sort } ya { error }
+function buildCatalogPipeline(params, baseFilter = {}) {
+    const page = Math.max(parseInt(params.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || 10, 1), MAX_LIMIT);
+
+    const search = typeof params.search === 'string' ? params.search.trim().slice(0, MAX_SEARCH_LENGTH) : '';
+    const sort = params.sort || (search ? 'relevance' : 'newest');
+    if (!SORTS[sort]) {
+        return { error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` };
+    }
+    if (sort === 'relevance' && !search) {
+        return { error: 'sort=relevance requires a search term' };
+    }
+
+    const minPrice = parsePrice(params.minPrice);
+    const maxPrice = parsePrice(params.maxPrice);
+    if (Number.isNaN(minPrice) || Number.isNaN(maxPrice)) {
+        return { error: 'minPrice and maxPrice must be non-negative numbers' };
+    }
+
+    // $text user input ko regex nahi banata — ReDoS ka risk nahi, aur index use hota hai
+    const baseMatch = { ...baseFilter, isActive: true };
+    if (search) baseMatch.$text = { $search: search };
+
+    const priceMatch = {};
+    if (minPrice !== undefined) priceMatch.$gte = minPrice;
+    if (maxPrice !== undefined) priceMatch.$lte = maxPrice;
+
+    const category = listFilter(params.category);
+    const artist = listFilter(params.artist);
+    const categoryMatch = category ? { category } : {};
+    const artistMatch = artist ? { artist } : {};
+
+    const pipeline = [
+        { $match: baseMatch },
+        {
+            $addFields: {
+                // Sabse sasta active version — retired versions price mein nahi gine jaate
+                minPrice: {
+                    $min: {
+                        $map: {
+                            input: {
+                                $filter: {
+                                    input: { $ifNull: ['$versions', []] },
+                                    as: 'v',
+                                    cond: { $ne: ['$$v.isActive', false] },
+                                },
+                            },
+                            as: 'v',
+                            in: '$$v.price',
+                        },
+                    },
+                },
+                ...(search ? { score: { $meta: 'textScore' } } : {}),
+            },
+        },
+    ];
+    if (Object.keys(priceMatch).length > 0) {
+        pipeline.push({ $match: { minPrice: priceMatch } });
+    }
+
+    // Har facet apna filter chhod ke baaki sab lagata hai — sidebar mein doosre options bhi count ke saath dikhein
+    pipeline.push({
+        $facet: {
+            products: [
+                { $match: { ...categoryMatch, ...artistMatch } },
+                { $sort: { ...SORTS[sort], _id: -1 } },
+                { $skip: (page - 1) * limit },
+                { $limit: limit },
+            ],
+            total: [
+                { $match: { ...categoryMatch, ...artistMatch } },
+                { $count: 'count' },
+            ],
+            categories: [
+                { $match: artistMatch },
+                { $group: { _id: '$category', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+            ],
+            artists: [
+                { $match: categoryMatch },
+                { $group: { _id: '$artist', count: { $sum: 1 } } },
+                { $sort: { count: -1, _id: 1 } },
+            ],
+        },
+    });
+
+    return { pipeline, page, limit, sort };
+}
+
+const toFacet = (buckets) => buckets.map(b => ({ value: b._id, count: b.count }));
+
+module.exports = { buildCatalogPipeline, toFacet, SORTS };
@@ -0,0 +1,263 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponClaim = require('../models/CouponClaim');
+const Order = require('../models/Order');
+const { roundMoney } = require('./money');
+const { BASE_CURRENCY } = require('./currency');
+
+const BASE_PRICING = { currency: BASE_CURRENCY, rate: 1 };
+
+// Coupon rules ka ek hi jagah — /api/coupons/validate, PUT /api/cart aur payment time (priceSavedCart) sab yahi chalate hain
+
+const findCouponByCode = (code) => Coupon.findOne({ code: String(code).trim().toUpperCase() });
+
+const isScoped = (coupon) => (coupon.applicableProducts?.length || 0) > 0 || (coupon.applicableCategories?.length || 0) > 0;
+
+// Scoped coupon sirf matching product lines par lagta hai — bundles par sirf unscoped coupon
+function isEligibleLine(coupon, item) {
+    if (!isScoped(coupon)) return true;
+    if (!item.productId) return false;
+    const productMatch = coupon.applicableProducts.some(id => id.toString() === String(item.productId));
+    return productMatch || (!!item.category && coupon.applicableCategories.includes(item.category));
+}
+
+// Amount coupon ki fixed value order ki currency mein — base mein discountPercentage, baaki coupon.amounts se; na ho toh null
+function couponAmountIn(coupon, { currency }) {
+    if (currency === BASE_CURRENCY) return coupon.discountPercentage;
+    const entry = (coupon.amounts || []).find(a => a.currency === currency);
+    return entry ? entry.amount : null;
+}
+
+// User kitni baar yeh coupon le sakta hai — perUserLimit, firstOrderOnly = 1; dono nahi toh null (koi per-user limit nahi)
+function userCouponLimit(coupon) {
+    const limits = [];
+    if (coupon.perUserLimit) limits.push(coupon.perUserLimit);
+    if (coupon.firstOrderOnly) limits.push(1);
+    return limits.length > 0 ? Math.min(...limits) : null;
+}
+
+// Claims aane se pehle ke redemptions (jin orders ka claim nahi) — woh bhi user ki uses mein gine jaate hain
+async function legacyRedemptionCount(couponId, userId) {
+    const claimedOrders = await CouponClaim.find({ coupon: couponId, user: userId }).distinct('order');
+    return CouponRedemption.countDocuments({ coupon: couponId, user: userId, order: { $nin: claimedOrders } });
+}
+
+// User ki uses — redeemed aur pending (reserved) orders dono ke claims + legacy redemptions
+async function countUserCouponUses(couponId, userId) {
+    return (await CouponClaim.countDocuments({ coupon: couponId, user: userId })) + await legacyRedemptionCount(couponId, userId);
+}
+
+// Pehla khali slot claim karo; is order ka claim pehle se ho toh wahi. Returns true/false (limit bhari hai)
+async function claimCouponUse(coupon, userId, orderId) {
+    const limit = userCouponLimit(coupon);
+    if (!limit) return true;
+
+    const hasClaim = () => CouponClaim.exists({ coupon: coupon._id, order: orderId });
+    if (await hasClaim()) return true;
+
+    for (let slot = await legacyRedemptionCount(coupon._id, userId); slot < limit; slot++) {
+        try {
+            await CouponClaim.create({ coupon: coupon._id, user: userId, order: orderId, slot });
+            return true;
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            // Isi order ki parallel request (capture + webhook) ne claim kar liya
+            if (await hasClaim()) return true;
+        }
+    }
+    return false;
+}
+
+const releaseCouponClaim = (orderId) => CouponClaim.deleteOne({ order: orderId });
+
+// pricing: { currency, rate } — eligibleSubtotal usi currency mein; maxDiscount (base) rate se convert hota hai
+function calculateCouponDiscount(coupon, eligibleSubtotal, pricing = BASE_PRICING) {
+    if (!coupon) return 0;
+    let discount = coupon.discountType === 'amount'
+        ? couponAmountIn(coupon, pricing) || 0 // yahan value = fixed amount
+        : eligibleSubtotal * (coupon.discountPercentage / 100);
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+        discount = Math.min(discount, roundMoney(coupon.maxDiscount * pricing.rate));
+    }
+    return roundMoney(Math.min(Math.max(discount, 0), eligibleSubtotal));
+}
+
+// items: priceCartItems ki priced lines (productId, category, price, quantity) — pricing ki currency mein
+// Returns { coupon, discount, eligibleSubtotal } ya { error }
+async function evaluateCoupon(coupon, { userId = null, items = [], subtotal, pricing = BASE_PRICING, now = new Date() } = {}) {
+    if (!coupon || !coupon.isActive) {
+        return { error: 'Invalid coupon code' };
+    }
+    if (coupon.validFrom && new Date(coupon.validFrom) > now) {
+        return { error: 'Coupon is not active yet' };
+    }
+    if (coupon.validUntil && new Date(coupon.validUntil) < now) {
+        return { error: 'Coupon has expired' };
+    }
+    if (coupon.maxUses !== null && coupon.maxUses !== undefined
+        && coupon.usedCount + (coupon.reservedCount || 0) >= coupon.maxUses) {
+        return { error: 'Coupon usage limit reached' };
+    }
+    if (coupon.discountType === 'amount' && couponAmountIn(coupon, pricing) === null) {
+        return { error: `This coupon cannot be used on ${pricing.currency} orders` };
+    }
+
+    // Gift card lines par discount nahi aur minimum spend mein bhi nahi gine jaate — warna discount par credit khareedo
+    const discountable = items.filter(item => !item.giftCardAmount);
+    const orderSubtotal = discountable.length === items.length && subtotal !== undefined
+        ? subtotal
+        : roundMoney(discountable.reduce((sum, item) => sum + item.price * item.quantity, 0));
+    const minOrderValue = coupon.minOrderValue ? roundMoney(coupon.minOrderValue * pricing.rate) : 0;
+    if (minOrderValue && orderSubtotal < minOrderValue) {
+        return { error: `This coupon requires a minimum order of ${minOrderValue.toFixed(2)} ${pricing.currency}` };
+    }
+
+    const eligibleSubtotal = isScoped(coupon)
+        ? roundMoney(items.filter(item => isEligibleLine(coupon, item)).reduce((sum, item) => sum + item.price * item.quantity, 0))
+        : orderSubtotal;
+    if (eligibleSubtotal <= 0 && (isScoped(coupon) || discountable.length < items.length)) {
+        return { error: 'This coupon does not apply to any item in your cart' };
+    }
+
+    if (coupon.firstOrderOnly) {
+        if (!userId) return { error: 'Please log in to use this coupon' };
+        const hasOrdered = await Order.exists({
+            user: userId,
+            status: { $in: ['completed', 'partially_refunded', 'refunded'] }
+        });
+        if (hasOrdered) return { error: 'This coupon is only valid on your first order' };
+    }
+
+    // Pending checkouts ke claims bhi gine jaate hain — parallel checkouts se limit cross nahi hoti
+    const limit = userCouponLimit(coupon);
+    if (limit) {
+        if (!userId) return { error: 'Please log in to use this coupon' };
+        if (await countUserCouponUses(coupon._id, userId) >= limit) {
+            return {
+                error: coupon.firstOrderOnly
+                    ? 'This coupon is only valid on your first order'
+                    : 'You have already used this coupon the maximum number of times (including checkouts in progress)'
+            };
+        }
+    }
+
+    return { coupon, discount: calculateCouponDiscount(coupon, eligibleSubtotal, pricing), eligibleSubtotal };
+}
+
+// Reservation ka lifecycle: reserveCoupon (order create) → recordCouponRedemption (capture) ya releaseCouponReservation (fail/expiry)
+// Har step conditional update hai, isliye parallel checkout maxUses cross nahi karta aur counts double nahi hote
+// Per-user limited coupons ke saath user ka CouponClaim slot bhi — wahi parallel checkouts mein per-user limit rokta hai
+
+const hasCapacity = {
+    $or: [
+        { maxUses: null },
+        { $expr: { $lt: [{ $add: ['$usedCount', { $ifNull: ['$reservedCount', 0] }] }, '$maxUses'] } }
+    ]
+};
+
+// Ek use reserve karo (orderId — jo order banne wala hai) — coupon ya user ki limit bhar gayi ho toh null
+async function reserveCoupon(couponId, { userId, orderId }) {
+    const coupon = await Coupon.findOneAndUpdate(
+        { _id: couponId, isActive: true, ...hasCapacity },
+        { $inc: { reservedCount: 1 } },
+        { new: true }
+    );
+    if (!coupon) return null;
+
+    if (!(await claimCouponUse(coupon, userId, orderId))) {
+        await Coupon.updateOne({ _id: couponId, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } });
+        return null;
+    }
+    return coupon;
+}
+
+// Order save hone se pehle fail hua (PayPal error etc.) — seedha coupon par reservation aur user ka claim wapas
+async function releaseReservedCoupon(couponId, orderId) {
+    await releaseCouponClaim(orderId);
+    await Coupon.updateOne(
+        { _id: couponId, reservedCount: { $gt: 0 } },
+        { $inc: { reservedCount: -1 } }
+    );
+}
+
+// Order fail/expire — reserved → released sirf ek baar
+async function releaseCouponReservation(orderId) {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, couponStatus: 'reserved' },
+        { couponStatus: 'released' }
+    );
+    if (order) await releaseReservedCoupon(order.coupon, order._id);
+    return order;
+}
+
+// Order complete hone par — (coupon, order) unique, isliye dobara call par usedCount dobara nahi badhta
+// Reservation thi toh reserved → used; release ho chuki thi (expiry ke baad capture) ya legacy order toh sirf used +1
+// Per-user limited coupon ka claim yahan dobara pakka hota hai — slot na mile (expiry ke baad capture, purana pending order)
+// toh redemption record nahi hota, order couponStatus 'over_limit' (admin review)
+async function recordCouponRedemption(order) {
+    if (!order.coupon) return;
+    const couponId = order.coupon._id || order.coupon;
+    const userId = order.user._id || order.user;
+
+    const coupon = await Coupon.findById(couponId);
+    if (coupon && !(await claimCouponUse(coupon, userId, order._id))) {
+        const wasReserved = await Order.findOneAndUpdate(
+            { _id: order._id, couponStatus: { $in: ['reserved', 'released'] } },
+            { couponStatus: 'over_limit' }
+        );
+        if (wasReserved?.couponStatus === 'reserved') {
+            await Coupon.updateOne({ _id: couponId, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } });
+        }
+        if (wasReserved) console.error(`Coupon ${coupon.code} per-user limit exceeded on order ${order._id} — redemption not recorded`);
+        return;
+    }
+
+    const result = await CouponRedemption.updateOne(
+        { coupon: couponId, order: order._id },
+        {
+            $setOnInsert: {
+                user: userId,
+                discount: order.discountAmount || 0,
+                redeemedAt: order.completedAt || new Date(),
+            },
+        },
+        { upsert: true }
+    );
+    if (result.upsertedCount === 0) return;
+
+    const wasReserved = await Order.findOneAndUpdate(
+        { _id: order._id, couponStatus: 'reserved' },
+        { couponStatus: 'redeemed' }
+    );
+    if (wasReserved) {
+        await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1, reservedCount: -1 } });
+    } else {
+        await Order.updateOne({ _id: order._id }, { couponStatus: 'redeemed' });
+        await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    }
+}
+
+// PayPal approval kuch ghanton mein expire ho jata hai — itni der pending pade orders ki reservation chhodo
+const reservationTtlMinutes = () => Number(process.env.COUPON_RESERVATION_TTL_MINUTES) || 180;
+
+async function releaseExpiredCouponReservations() {
+    const cutoff = new Date(Date.now() - reservationTtlMinutes() * 60 * 1000);
+    const expired = await Order.find({ status: 'pending', couponStatus: 'reserved', createdAt: { $lt: cutoff } }).select('_id');
+
+    let released = 0;
+    for (const order of expired) {
+        if (await releaseCouponReservation(order._id)) released++;
+    }
+    return released;
+}
+
+module.exports = {
+    findCouponByCode,
+    evaluateCoupon,
+    calculateCouponDiscount,
+    reserveCoupon,
+    releaseReservedCoupon,
+    releaseCouponReservation,
+    recordCouponRedemption,
+    releaseExpiredCouponReservations,
+};
@@ -0,0 +1,254 @@
+const CreditAccount = require('../models/CreditAccount');
+const CreditTransaction = require('../models/CreditTransaction');
+const GiftCard = require('../models/GiftCard');
+const Order = require('../models/Order');
+const { roundMoney } = require('./money');
+const { convertFromBase, convertToBase } = require('./currency');
+const { generateCode, normalizeCode } = require('./gifts');
+
+// Store credit — CreditAccount.balance + append-only CreditTransaction ledger
+// Balance sirf postCreditEntry se badalta hai, isliye har badlav ki ledger row hoti hai
+// Ledger hamesha base currency (USD) mein; doosri currency ke order par rate se convert hota hai
+
+const GIFT_CARD_MIN_AMOUNT = 5;
+const GIFT_CARD_MAX_AMOUNT = 500;
+
+async function getCreditBalance(userId) {
+    const account = await CreditAccount.findOne({ user: userId });
+    return account ? roundMoney(account.balance) : 0;
+}
+
+// amount + aaya, - gaya. Debit conditional hai — balance kam ho toh null (allowNegative sirf late settlement ke liye)
+async function postCreditEntry({ user, amount, type, reason = null, order = null, giftCard = null, createdBy = null, allowNegative = false }) {
+    const value = roundMoney(amount);
+    if (!value) return null;
+
+    const filter = { user };
+    if (value < 0 && !allowNegative) filter.balance = { $gte: -value - 0.005 };
+
+    const account = await CreditAccount.findOneAndUpdate(
+        filter,
+        { $inc: { balance: value } },
+        { new: true, upsert: value > 0 || allowNegative }
+    );
+    if (!account) return null;
+
+    return CreditTransaction.create({
+        user,
+        amount: value,
+        balanceAfter: roundMoney(account.balance),
+        type,
+        reason,
+        order,
+        giftCard,
+        createdBy,
+    });
+}
+
+// Gift card lines par credit nahi lagta (credit ko transferable code mein badalna nahi chahiye)
+const giftCardSubtotal = (items) => roundMoney(items
+    .filter(item => item.giftCardAmount)
+    .reduce((sum, item) => sum + item.price * item.quantity, 0));
+
+// priceSavedCart result (tax samet) par kitna credit lag sakta hai — coupon gift cards par nahi lagta, isliye yeh kabhi negative nahi
+const creditableTotal = (pricedCart) => roundMoney(Math.max(0, pricedCart.total - giftCardSubtotal(pricedCart.items)));
+
+// Order currency mein kitna credit lagega (amount) aur ledger se kitna katega (base)
+// Poora balance lag raha ho toh base = poora balance, taaki rounding se kuch paise na bachein
+function creditToApply(balanceBase, creditable, rate) {
+    const available = convertFromBase(balanceBase, rate);
+    if (available <= 0 || creditable <= 0) return { amount: 0, base: 0 };
+    if (available <= creditable) return { amount: available, base: balanceBase };
+    return { amount: creditable, base: Math.min(convertToBase(creditable, rate), balanceBase) };
+}
+
+// Checkout: order save hone se pehle credit kaato (orderId pehle se generate) — balance badal gaya ho toh false
+async function debitCheckoutCredit(userId, orderId, baseAmount) {
+    const entry = await postCreditEntry({
+        user: userId,
+        amount: -baseAmount,
+        type: 'order_payment',
+        reason: 'Applied at checkout',
+        order: orderId,
+    });
+    return !!entry;
+}
+
+// Order save hone se pehle checkout fail hua (PayPal error etc.) — kata hua credit seedha wapas
+const reverseCheckoutCredit = (userId, orderId, baseAmount) => postCreditEntry({
+    user: userId,
+    amount: baseAmount,
+    type: 'order_release',
+    reason: 'Checkout was not completed',
+    order: orderId,
+});
+
+// Order fail/abandon/full refund — applied → returned sirf ek baar
+async function returnOrderCredit(orderId, type = 'order_release', reason = null) {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, creditStatus: 'applied' },
+        { creditStatus: 'returned' }
+    );
+    if (!order) return null;
+
+    await postCreditEntry({
+        user: order.user,
+        amount: order.creditAppliedBase ?? order.creditApplied,
+        type,
+        reason: reason || (type === 'order_refund' ? 'Order refunded' : 'Order was not completed'),
+        order: order._id,
+    });
+    return order;
+}
+
+// Expiry sweep ke baad bhi PayPal capture ho gaya toh credit dobara kaato — balance kam pade toh bhi (negative)
+async function settleOrderCredit(order) {
+    const settled = await Order.findOneAndUpdate(
+        { _id: order._id, creditStatus: 'returned', status: 'completed', creditApplied: { $gt: 0 } },
+        { creditStatus: 'applied' }
+    );
+    if (!settled) return;
+
+    await postCreditEntry({
+        user: settled.user,
+        amount: -(settled.creditAppliedBase ?? settled.creditApplied),
+        type: 'order_payment',
+        reason: 'Order completed after its credit hold was released',
+        order: settled._id,
+        allowNegative: true,
+    });
+}
+
+const creditHoldMinutes = () => Number(process.env.COUPON_RESERVATION_TTL_MINUTES) || 180;
+
+// Abandoned PayPal checkouts ka lagaya hua credit wapas — coupon reservation sweep ke saath chalta hai
+async function returnExpiredOrderCredit() {
+    const cutoff = new Date(Date.now() - creditHoldMinutes() * 60 * 1000);
+    const expired = await Order.find({ status: 'pending', creditStatus: 'applied', createdAt: { $lt: cutoff } }).select('_id');
+
+    let returned = 0;
+    for (const order of expired) {
+        if (await returnOrderCredit(order._id)) returned++;
+    }
+    return returned;
+}
+
+// Cart line ka giftCardAmount → amount ya { error }
+function parseGiftCardAmount(value) {
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || roundMoney(amount) !== amount) {
+        return { error: 'Gift card amount must be a number with at most 2 decimals' };
+    }
+    if (amount < GIFT_CARD_MIN_AMOUNT || amount > GIFT_CARD_MAX_AMOUNT) {
+        return { error: `Gift card amount must be between ${GIFT_CARD_MIN_AMOUNT} and ${GIFT_CARD_MAX_AMOUNT}` };
+    }
+    return { amount };
+}
+
+// Order complete — har gift card line ki quantity jitne codes; (order, orderItem, unit) unique, dobara chalane par no-op
+async function issueOrderGiftCards(order) {
+    for (const item of order.items) {
+        if (!item.giftCardAmount || item.refunded) continue;
+
+        for (let unit = 0; unit < (item.quantity || 1); unit++) {
+            await GiftCard.updateOne(
+                { order: order._id, orderItem: item._id, unit },
+                {
+                    $setOnInsert: {
+                        code: generateCode('CARD'),
+                        amount: item.giftCardAmount,
+                        purchaser: order.user._id || order.user,
+                    },
+                },
+                { upsert: true }
+            );
+        }
+    }
+}
+
+// Redeem — active → redeemed ek hi baar, phir amount redeemer ke credit mein
+// Returns { giftCard, entry } ya { error, status }
+async function redeemGiftCard(code, userId) {
+    const giftCard = await GiftCard.findOneAndUpdate(
+        { code: normalizeCode(code), status: 'active' },
+        { status: 'redeemed', redeemedBy: userId, redeemedAt: new Date() },
+        { new: true }
+    );
+
+    if (!giftCard) {
+        const existing = await GiftCard.findOne({ code: normalizeCode(code) });
+        if (!existing) return { error: 'Gift card not found', status: 404 };
+        if (existing.status === 'revoked') return { error: 'This gift card is no longer valid', status: 410 };
+        return { error: 'This gift card has already been redeemed', status: 409 };
+    }
+
+    try {
+        const entry = await postCreditEntry({
+            user: userId,
+            amount: giftCard.amount,
+            type: 'gift_card',
+            reason: `Gift card ${giftCard.code}`,
+            giftCard: giftCard._id,
+        });
+        return { giftCard, entry };
+    } catch (err) {
+        // Credit nahi juda — card wapas active taaki dobara redeem ho sake
+        await GiftCard.updateOne({ _id: giftCard._id, status: 'redeemed' }, { status: 'active', redeemedBy: null, redeemedAt: null });
+        throw err;
+    }
+}
+
+// Admin refund se pehle gift card lines ke active codes band — koi card redeem ho chuka ho toh refund nahi
+// (warna buyer ko paise wapas aur recipient ke paas credit, dono). Returns { cardIds } ya { error, codes }
+async function holdGiftCardsForRefund(orderId, itemIds) {
+    const filter = { order: orderId, orderItem: { $in: itemIds } };
+    const redeemedError = (cards) => ({
+        error: 'Gift cards on this order have already been redeemed and cannot be refunded',
+        codes: cards.map(card => card.code),
+    });
+
+    const redeemed = await GiftCard.find({ ...filter, status: 'redeemed' }).select('code');
+    if (redeemed.length > 0) return redeemedError(redeemed);
+
+    const cardIds = (await GiftCard.find({ ...filter, status: 'active' }).select('_id')).map(card => card._id);
+    await GiftCard.updateMany({ _id: { $in: cardIds }, status: 'active' }, { status: 'revoked' });
+
+    // find aur revoke ke beech koi redeem ho gaya — baaki wapas active, refund nahi
+    const raced = await GiftCard.find({ _id: { $in: cardIds }, status: 'redeemed' }).select('code');
+    if (raced.length > 0) {
+        await releaseGiftCardHold(cardIds);
+        return redeemedError(raced);
+    }
+    return { cardIds };
+}
+
+// Provider refund fail hua — hold kiye codes wapas active
+const releaseGiftCardHold = (cardIds) => GiftCard.updateMany(
+    { _id: { $in: cardIds }, status: 'revoked' },
+    { status: 'active' }
+);
+
+// Refunded gift card lines ke unredeemed codes band (admin route holdGiftCardsForRefund se redeemed cards ka refund rokta hai)
+const revokeOrderGiftCards = (orderId, itemIds) => GiftCard.updateMany(
+    { order: orderId, orderItem: { $in: itemIds }, status: 'active' },
+    { status: 'revoked' }
+);
+
+module.exports = {
+    getCreditBalance,
+    postCreditEntry,
+    giftCardSubtotal,
+    creditableTotal,
+    creditToApply,
+    debitCheckoutCredit,
+    reverseCheckoutCredit,
+    returnOrderCredit,
+    settleOrderCredit,
+    returnExpiredOrderCredit,
+    parseGiftCardAmount,
+    issueOrderGiftCards,
+    redeemGiftCard,
+    holdGiftCardsForRefund,
+    releaseGiftCardHold,
+    revokeOrderGiftCards,
+};
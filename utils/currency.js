@@ -0,0 +1,100 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { roundMoney } = require('./money');
+
+// Catalog ki base currency — Product.versions.price, Bundle.price, coupon rules aur store credit isi mein
+const BASE_CURRENCY = 'USD';
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+
+// Bina decimals wali currencies — Stripe ki zero-decimal list + HUF/TWD (PayPal inmein decimals nahi leta)
+// Hamari pricing 2 decimal ki hai, isliye inke exchange rates set/use nahi hote (provider ka charge order total se alag ho jata)
+const ZERO_DECIMAL_CURRENCIES = [
+    'BIF', 'CLP', 'DJF', 'GNF', 'HUF', 'ISK', 'JPY', 'KMF', 'KRW', 'MGA', 'PYG',
+    'RWF', 'TWD', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF',
+];
+const isZeroDecimalCurrency = (currency) => ZERO_DECIMAL_CURRENCIES.includes(String(currency).toUpperCase());
+
+const normalizeCurrency = (value) => (typeof value === 'string' ? value.trim().toUpperCase() : '');
+
+// { USD: 1, EUR: 0.92, INR: 83.1 } — sirf active rates, base hamesha 1
+// Zero-decimal currency ka purana rate DB mein ho toh bhi skip
+async function loadRates() {
+    const rows = await ExchangeRate.find({ isActive: true }).lean();
+    const rates = { [BASE_CURRENCY]: 1 };
+    for (const row of rows) {
+        if (row.currency !== BASE_CURRENCY && !isZeroDecimalCurrency(row.currency)) rates[row.currency] = row.rate;
+    }
+    return rates;
+}
+
+// Cart/query ki currency → { currency, rate } ya { error }; khali ho toh base
+function resolveCurrency(value, rates) {
+    const currency = normalizeCurrency(value) || BASE_CURRENCY;
+    if (!rates[currency]) {
+        return { error: `Currency ${currency} is not supported. Choose one of: ${Object.keys(rates).join(', ')}` };
+    }
+    return { currency, rate: rates[currency] };
+}
+
+const convertFromBase = (amount, rate) => roundMoney(Number(amount) * rate);
+const convertToBase = (amount, rate) => roundMoney(Number(amount) / rate);
+
+// Explicit price (prices: [{ currency, amount }]) pehle, warna base price × rate
+function priceIn(basePrice, prices, { currency, rate }) {
+    if (currency === BASE_CURRENCY) return basePrice;
+    const explicit = (prices || []).find(p => p.currency === currency);
+    return explicit ? explicit.amount : convertFromBase(basePrice, rate);
+}
+
+// Admin input → [{ currency, amount }] ya { error }
+// { EUR: 9.99, INR: 799 } aur [{ currency, amount }] dono chalte hain; base currency yahan nahi (woh `price` hai)
+function parsePriceList(input, label = 'prices') {
+    if (input === undefined || input === null || input === '') return { prices: [] };
+
+    let value = input;
+    if (typeof value === 'string') {
+        try {
+            value = JSON.parse(value);
+        } catch (err) {
+            return { error: `Invalid ${label} format` };
+        }
+    }
+
+    const entries = Array.isArray(value)
+        ? value.map(entry => [entry?.currency, entry?.amount])
+        : typeof value === 'object' ? Object.entries(value) : null;
+    if (!entries) return { error: `Invalid ${label} format` };
+
+    const prices = [];
+    for (const [rawCurrency, rawAmount] of entries) {
+        const currency = normalizeCurrency(rawCurrency);
+        const amount = Number(rawAmount);
+        if (!CURRENCY_CODE_REGEX.test(currency) || currency === BASE_CURRENCY) {
+            return { error: `${label}: "${rawCurrency}" is not a valid non-${BASE_CURRENCY} currency code` };
+        }
+        if (isZeroDecimalCurrency(currency)) {
+            return { error: `${label}: ${currency} is not supported (no decimal amounts)` };
+        }
+        if (rawAmount === '' || rawAmount === null || !Number.isFinite(amount) || amount < 0) {
+            return { error: `${label}: amount for ${currency} is invalid` };
+        }
+        if (prices.some(p => p.currency === currency)) {
+            return { error: `${label}: ${currency} is listed twice` };
+        }
+        prices.push({ currency, amount: roundMoney(amount) });
+    }
+    return { prices };
+}
+
+module.exports = {
+    BASE_CURRENCY,
+    CURRENCY_CODE_REGEX,
+    ZERO_DECIMAL_CURRENCIES,
+    isZeroDecimalCurrency,
+    normalizeCurrency,
+    loadRates,
+    resolveCurrency,
+    convertFromBase,
+    convertToBase,
+    priceIn,
+    parsePriceList,
+};
@@ -0,0 +1,90 @@
+const jwt = require('jsonwebtoken');
+const s3 = require('../config/r2');
+const Product = require('../models/Product');
+const { findActiveEntitlements } = require('./entitlements');
+
+// Presigned URL sirf download endpoint redirect ke waqt banta hai — chhota expiry rakho
+function getSignedDownloadUrl(fileKey, expires = 60) {
+    const params = {
+        Bucket: process.env.R2_BUCKET_NAME, // Jo bucket tumne .env me setup kiya
+        Key: fileKey,                       // e.g. 'Meditation field.mp3'
+        Expires: expires,                   // seconds
+    };
+    return s3.getSignedUrl('getObject', params);
+}
+
+// Entitlement ka version — versionId se (retired ho tab bhi), legacy rows mein index pe naam match kare toh woh, warna naam se
+function resolveEntitledVersion(product, entitlement) {
+    if (entitlement.versionId) {
+        const byId = product.versions.find(v => v._id.toString() === entitlement.versionId.toString());
+        if (byId) return byId;
+    }
+    const byIndex = product.versions[entitlement.versionIndex];
+    if (byIndex && (!entitlement.versionName || byIndex.name === entitlement.versionName)) return byIndex;
+    if (entitlement.versionName) {
+        const byName = product.versions.find(v => v.name === entitlement.versionName);
+        if (byName) return byName;
+    }
+    return byIndex || null;
+}
+
+// Entitlement par limit set nahi toh DOWNLOAD_LIMIT env, woh bhi nahi toh unlimited (null)
+function getDownloadLimit(entitlement) {
+    if (entitlement.downloadLimit !== null && entitlement.downloadLimit !== undefined) {
+        return entitlement.downloadLimit;
+    }
+    const envLimit = parseInt(process.env.DOWNLOAD_LIMIT, 10);
+    return Number.isInteger(envLimit) && envLimit > 0 ? envLimit : null;
+}
+
+function getDownloadsRemaining(entitlement) {
+    const limit = getDownloadLimit(entitlement);
+    return limit === null ? null : Math.max(limit - (entitlement.downloadCount || 0), 0);
+}
+
+// Link mein R2 URL nahi, signed token jaata hai — GET /api/downloads/:token ownership + limit check karke redirect karta hai
+const signDownloadToken = (entitlement) => jwt.sign(
+    { download: { entitlement: entitlement._id, user: entitlement.user } },
+    process.env.JWT_SECRET,
+    { expiresIn: '15m' }
+);
+
+const buildDownloadUrl = (req, entitlement) => {
+    const base = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base}/api/downloads/${signDownloadToken(entitlement)}`;
+};
+
+// Capture/free-order response ke liye — order ke active entitlements ke download links
+async function buildOrderDownloadLinks(req, order) {
+    const entitlements = await findActiveEntitlements({ order: order._id });
+    const products = await Product.find({ _id: { $in: entitlements.map(e => e.product) } });
+
+    const downloadLinks = [];
+    for (const entitlement of entitlements) {
+        const product = products.find(p => p._id.toString() === entitlement.product.toString());
+        if (!product) continue;
+
+        const version = resolveEntitledVersion(product, entitlement);
+        if (!version || !version.r2MusicFile) continue;
+
+        downloadLinks.push({
+            title: product.title,
+            artist: product.artist,
+            version: version.name,
+            versionIndex: entitlement.versionIndex,
+            versionId: version._id,
+            url: buildDownloadUrl(req, entitlement),
+            downloadsRemaining: getDownloadsRemaining(entitlement),
+        });
+    }
+    return downloadLinks;
+}
+
+module.exports = {
+    getSignedDownloadUrl,
+    resolveEntitledVersion,
+    getDownloadLimit,
+    getDownloadsRemaining,
+    buildDownloadUrl,
+    buildOrderDownloadLinks,
+};
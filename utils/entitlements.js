@@ -0,0 +1,72 @@
+const Entitlement = require('../models/Entitlement');
+const Product = require('../models/Product');
+
+// Entitlement rows jo ek order item se bante hain — product line se ek, bundle line se har included version ka ek
+// Gift card line se koi nahi (woh store credit deta hai, utils/credit)
+function itemGrants(item) {
+    if (item.giftCardAmount) return [];
+    if (item.bundleId) {
+        return item.bundleItems.map(sub => ({
+            orderItem: sub._id,
+            product: sub.productId,
+            versionName: sub.version,
+            versionIndex: null,
+            versionId: sub.versionId || null,
+            bundle: item.bundleId,
+        }));
+    }
+    return [{
+        orderItem: item._id,
+        product: item.productId,
+        versionName: item.version,
+        versionIndex: item.selectedVersionIndex,
+        versionId: item.versionId || null,
+        bundle: null,
+    }];
+}
+
+// Ek order item ke entitlements — upsert, isliye dobara chalane par no-op
+// Naya entitlement bana tabhi product ka salesCount badhta hai, dobara grant par nahi
+async function grantItemEntitlements(order, item, { userId, source = 'purchase', grantedAt = new Date() }) {
+    for (const { orderItem, ...grant } of itemGrants(item)) {
+        const result = await Entitlement.updateOne(
+            { order: order._id, orderItem },
+            { $setOnInsert: { user: userId, ...grant, source, grantedAt } },
+            { upsert: true }
+        );
+
+        if (result.upsertedCount > 0) {
+            await Product.updateOne({ _id: grant.product }, { $inc: { salesCount: 1 } });
+        }
+    }
+}
+
+// Order ke har non-refunded item ke liye buyer ka entitlement
+// Gift items buyer ko nahi milte — recipient claim kare tab uske naam grant hote hain (utils/gifts)
+async function grantOrderEntitlements(order) {
+    for (const item of order.items) {
+        if (item.refunded || item.gift?.recipientEmail) continue;
+
+        await grantItemEntitlements(order, item, {
+            userId: order.user._id || order.user,
+            grantedAt: order.completedAt || new Date(),
+        });
+    }
+}
+
+// itemIds order items ke _id hain — bundle line ke saath uske included versions bhi revoke hote hain
+async function revokeOrderEntitlements(order, itemIds, reason) {
+    const ids = itemIds.map(String);
+    const orderItems = order.items
+        .filter(item => ids.includes(item._id.toString()))
+        .flatMap(item => itemGrants(item).map(grant => grant.orderItem));
+
+    return Entitlement.updateMany(
+        { order: order._id, orderItem: { $in: [...itemIds, ...orderItems] }, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason || 'refunded' }
+    );
+}
+
+const findActiveEntitlements = (filter) => Entitlement.find({ ...filter, revokedAt: null });
+
+module.exports = { itemGrants, grantItemEntitlements, grantOrderEntitlements, revokeOrderEntitlements, findActiveEntitlements };
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const Gift = require('../models/Gift');
+const Order = require('../models/Order');
+const { sendTemplateEmail } = require('../emails');
+const { frontendUrl } = require('../emails/helpers');
+const { grantItemEntitlements } = require('./entitlements');
+
+// Gift lifecycle: order complete → Gift (pending) → email gaya (sent) → recipient claim (claimed)
+// Email fail hua toh gift pending rehta hai — server ka 10 min sweep (retryPendingGiftEmails) dobara bhejta hai, buyer resend bhi kar sakta hai
+// Refund par unclaimed gift revoked; expiresAt nikal gaya toh claim nahi hota (status "expired" dikhta hai)
+
+const MAX_GIFT_MESSAGE_LENGTH = 500;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// 0/O/1/I nahi — code haath se type karna pade toh confusion na ho
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// PREFIX-XXXX-XXXX-XXXX — gift claim codes aur gift cards (utils/credit) dono
+function generateCode(prefix) {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    return `${prefix}-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+}
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const claimDays = () => Number(process.env.GIFT_CLAIM_DAYS) || 90;
+
+// Buyer ek gift email itni der mein ek hi baar dobara bhej sakta hai
+const RESEND_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Cart line ka gift input → { gift } (gift na ho toh null) ya { error }
+function parseGiftInput(input) {
+    if (input === undefined || input === null || input === false) return { gift: null };
+    if (typeof input !== 'object') return { error: 'Invalid gift details' };
+
+    const recipientEmail = typeof input.recipientEmail === 'string' ? input.recipientEmail.trim().toLowerCase() : '';
+    if (!recipientEmail) return { gift: null };
+    if (!EMAIL_REGEX.test(recipientEmail)) {
+        return { error: 'Gift recipient email is invalid' };
+    }
+
+    const recipientName = typeof input.recipientName === 'string' ? input.recipientName.trim().slice(0, 100) : '';
+    const message = typeof input.message === 'string' ? input.message.trim() : '';
+    if (message.length > MAX_GIFT_MESSAGE_LENGTH) {
+        return { error: `Gift message must be at most ${MAX_GIFT_MESSAGE_LENGTH} characters` };
+    }
+
+    return { gift: { recipientEmail, recipientName: recipientName || null, message: message || null } };
+}
+
+const isGiftItem = (item) => !!item.gift?.recipientEmail;
+
+// Stored status + expiry → buyer ko dikhne wala status
+function giftStatus(gift, now = new Date()) {
+    if (['pending', 'sent'].includes(gift.status) && gift.expiresAt < now) return 'expired';
+    return gift.status;
+}
+
+// Order item ke included versions — email aur claim preview dono ke liye
+const giftContents = (item) => (item.bundleId
+    ? item.bundleItems.map(sub => ({ title: sub.title, artist: sub.artist, version: sub.version }))
+    : [{ title: item.title, artist: item.artist, version: item.version }]);
+
+// sentAt claim karke bhejo — capture route aur webhook saath chalein toh bhi ek hi email
+// resend: pehle bhej chuke gift ko dobara (cooldown ke baad). Returns true agar email gaya, false agar claim nahi mila
+async function sendGiftEmail(giftId, { senderName, item, resend = false }) {
+    const now = new Date();
+    const filter = resend
+        ? {
+            _id: giftId,
+            status: { $in: ['pending', 'sent'] },
+            expiresAt: { $gt: now },
+            $or: [{ sentAt: null }, { sentAt: { $lt: new Date(now.getTime() - RESEND_COOLDOWN_MS) } }],
+        }
+        : { _id: giftId, sentAt: null, status: 'pending' };
+
+    // Purana document — fail hone par pichla sentAt/status wapas
+    const previous = await Gift.findOneAndUpdate(filter, { sentAt: now, status: 'sent' });
+    if (!previous) return false;
+
+    try {
+        await sendTemplateEmail(previous.recipientEmail, 'giftReceived', {
+            recipientName: previous.recipientName,
+            senderName,
+            message: previous.message,
+            items: giftContents(item),
+            code: previous.code,
+            claimUrl: frontendUrl(`/gifts/claim?code=${encodeURIComponent(previous.code)}`),
+            expiresOn: previous.expiresAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+        });
+    } catch (err) {
+        // Claim chhod do taaki sweep (retryPendingGiftEmails) dobara try kare (beech mein claim ho gaya ho toh chhedo mat)
+        await Gift.updateOne({ _id: previous._id, status: 'sent', sentAt: now }, { sentAt: previous.sentAt, status: previous.status });
+        throw err;
+    }
+    return true;
+}
+
+// Buyer ka naam — email mein "from" ke liye
+const giftSenderName = async (orderId) => {
+    const order = await Order.findById(orderId).populate('user', 'name');
+    return order?.user?.name || 'A friend';
+};
+
+// Order ke gift items ke liye Gift documents — (order, orderItem) unique, isliye dobara chalane par no-op
+async function createOrderGifts(order) {
+    const giftItems = order.items.filter(item => isGiftItem(item) && !item.refunded);
+    if (giftItems.length === 0) return;
+
+    const senderName = await giftSenderName(order._id);
+    const expiresAt = new Date((order.completedAt || new Date()).getTime() + claimDays() * 24 * 60 * 60 * 1000);
+
+    for (const item of giftItems) {
+        await Gift.updateOne(
+            { order: order._id, orderItem: item._id },
+            {
+                $setOnInsert: {
+                    code: generateCode('GIFT'),
+                    purchaser: order.user._id || order.user,
+                    recipientEmail: item.gift.recipientEmail,
+                    recipientName: item.gift.recipientName,
+                    message: item.gift.message,
+                    expiresAt,
+                },
+            },
+            { upsert: true }
+        );
+        const gift = await Gift.findOne({ order: order._id, orderItem: item._id });
+
+        sendGiftEmail(gift._id, { senderName, item }).catch(err => console.error('Gift email error:', err));
+    }
+}
+
+// Claim — pending/sent aur expire nahi hua tab hi; claimed → claimedBy ko entitlements
+// Pehle claim ho chuka aur same user hai toh grant dobara chalta hai (beech mein fail hua ho toh)
+// Returns { gift } ya { error, status }
+async function claimGift(code, userId) {
+    const now = new Date();
+    let gift = await Gift.findOneAndUpdate(
+        { code: normalizeCode(code), status: { $in: ['pending', 'sent'] }, expiresAt: { $gt: now } },
+        { status: 'claimed', claimedAt: now, claimedBy: userId },
+        { new: true }
+    );
+
+    if (!gift) {
+        gift = await Gift.findOne({ code: normalizeCode(code) });
+        if (!gift) return { error: 'Gift not found', status: 404 };
+        if (gift.status === 'claimed' && gift.claimedBy?.toString() !== String(userId)) {
+            return { error: 'This gift has already been claimed', status: 409 };
+        }
+        if (gift.status === 'revoked') return { error: 'This gift is no longer available', status: 410 };
+        if (giftStatus(gift, now) === 'expired') return { error: 'This gift has expired', status: 410 };
+    }
+
+    const order = await Order.findById(gift.order);
+    const item = order?.items.id(gift.orderItem);
+    if (!item || item.refunded) {
+        return { error: 'This gift is no longer available', status: 410 };
+    }
+
+    await grantItemEntitlements(order, item, { userId, source: 'gift', grantedAt: gift.claimedAt });
+    return { gift, item };
+}
+
+// Jin gifts ka email fail hua (ya server beech mein ruk gaya) — 10 min sweep se dobara bhejo
+// Returns kitne emails gaye
+async function retryPendingGiftEmails() {
+    const gifts = await Gift.find({ status: 'pending', sentAt: null, expiresAt: { $gt: new Date() } }).limit(50);
+
+    let sent = 0;
+    for (const gift of gifts) {
+        try {
+            const order = await Order.findById(gift.order);
+            const item = order?.items.id(gift.orderItem);
+            if (!item || item.refunded) continue;
+
+            if (await sendGiftEmail(gift._id, { senderName: await giftSenderName(order._id), item })) sent += 1;
+        } catch (err) {
+            console.error(`Gift email retry error (${gift._id}):`, err);
+        }
+    }
+    return sent;
+}
+
+// Buyer ki request par order item ka gift email dobara — Returns { gift } ya { error, status }
+async function resendGiftEmail(order, itemId) {
+    const item = order.items.id(itemId);
+    if (!item || !isGiftItem(item)) return { error: 'Gift not found', status: 404 };
+    if (item.refunded) return { error: 'This gift is no longer available', status: 410 };
+
+    const gift = await Gift.findOne({ order: order._id, orderItem: item._id });
+    if (!gift) return { error: 'This gift has not been issued yet', status: 409 };
+    if (gift.status === 'claimed') return { error: 'This gift has already been claimed', status: 409 };
+    if (gift.status === 'revoked') return { error: 'This gift is no longer available', status: 410 };
+    if (giftStatus(gift) === 'expired') return { error: 'This gift has expired', status: 410 };
+
+    const sent = await sendGiftEmail(gift._id, { senderName: await giftSenderName(order._id), item, resend: true });
+    if (!sent) return { error: 'The gift email was sent recently, please try again in a few minutes', status: 429 };
+
+    return { gift: await Gift.findById(gift._id) };
+}
+
+// Refunded items ke unclaimed gifts — claim link band (claimed gift ke entitlements revokeOrderEntitlements hata deta hai)
+const revokeOrderGifts = (orderId, itemIds) => Gift.updateMany(
+    { order: orderId, orderItem: { $in: itemIds }, status: { $in: ['pending', 'sent'] } },
+    { status: 'revoked' }
+);
+
+module.exports = {
+    parseGiftInput,
+    isGiftItem,
+    giftStatus,
+    giftContents,
+    generateCode,
+    normalizeCode,
+    createOrderGifts,
+    claimGift,
+    retryPendingGiftEmails,
+    resendGiftEmail,
+    revokeOrderGifts,
+};
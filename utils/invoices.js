@@ -0,0 +1,210 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Order = require('../models/Order');
+const { roundMoney } = require('./money');
+
+// Invoice sirf in statuses ke orders ka — refund ke baad bhi original invoice milta hai
+const INVOICEABLE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+// Seller details .env se — issue ke waqt invoice par snapshot hote hain
+const sellerDetails = () => ({
+    name: process.env.INVOICE_SELLER_NAME || 'Waslerr',
+    address: process.env.INVOICE_SELLER_ADDRESS || null,
+    email: process.env.INVOICE_SELLER_EMAIL || process.env.EMAIL_FROM || null,
+    taxId: process.env.INVOICE_SELLER_TAX_ID || null,
+});
+
+// 42 → INV-000042
+const formatInvoiceNumber = (number) => `${process.env.INVOICE_PREFIX || 'INV'}-${String(number).padStart(6, '0')}`;
+
+const invoiceFilename = (invoice) => `invoice-${formatInvoiceNumber(invoice.number)}.pdf`;
+
+const isInvoiceable = (order) => INVOICEABLE_STATUSES.includes(order.status);
+
+// Order ka invoice — pehle se hai toh wahi, warna agla number
+// Number sirf successful insert par exist karta hai (number aur order dono unique), isliye gap nahi aata:
+// do orders ek saath same number lein toh ek insert fail hoke agla number try karta hai
+async function issueInvoice(order) {
+    const existing = await Invoice.findOne({ order: order._id });
+    if (existing) return existing;
+
+    const populated = await Order.findById(order._id).populate('user', 'name email');
+    if (!populated || !isInvoiceable(populated)) return null;
+
+    const details = {
+        order: populated._id,
+        user: populated.user?._id || populated.user,
+        seller: sellerDetails(),
+        buyer: {
+            name: populated.user?.name || null,
+            email: populated.user?.email || null,
+            country: populated.tax?.country || null,
+        },
+    };
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const last = await Invoice.findOne().sort({ number: -1 }).select('number').lean();
+        try {
+            return await Invoice.create({ ...details, number: (last?.number || 0) + 1 });
+        } catch (err) {
+            if (err.code !== 11000) throw err;
+            // Parallel call ne isi order ka invoice bana diya
+            if (err.keyPattern?.order) return Invoice.findOne({ order: order._id });
+        }
+    }
+    throw new Error('Could not allocate an invoice number');
+}
+
+// PDF mein standard fonts hain (Unicode currency symbols nahi), isliye "12.50 EUR"
+const pdfMoney = (amount, currency) => `${(Number(amount) || 0).toFixed(2)} ${currency}`;
+
+// Line ka description — version, bundle ke included versions, gift card/gift
+function lineDescription(item) {
+    const lines = [`${item.title} — ${item.artist}`];
+    if (item.giftCardAmount) {
+        lines[0] = item.title || 'Gift card';
+    } else if (item.bundleId) {
+        for (const sub of item.bundleItems || []) {
+            lines.push(`  • ${sub.title}${sub.version ? ` (${sub.version})` : ''}`);
+        }
+    } else if (item.version) {
+        lines.push(`Version: ${item.version}`);
+    }
+    if (item.gift?.recipientEmail) lines.push(`Gift for ${item.gift.recipientEmail}`);
+    if (item.refunded) lines.push('Refunded');
+    return lines.join('\n');
+}
+
+// Summary rows — receipt (buildReceiptData) jaisa hi hisaab
+function totalRows(order) {
+    const currency = order.currency || 'USD';
+    const subtotal = order.baseAmount
+        ?? roundMoney(order.items.reduce((sum, item) => sum + item.price * (item.quantity || 1), 0));
+    const rows = [['Subtotal', pdfMoney(subtotal, currency)]];
+
+    if (order.discountAmount > 0) {
+        const label = order.coupon?.code ? `Discount (${order.coupon.code})` : 'Discount';
+        rows.push([label, `-${pdfMoney(order.discountAmount, currency)}`]);
+    }
+    if (order.tax?.amount > 0) {
+        rows.push([`${order.tax.name || 'Tax'} ${order.tax.rate}% (${order.tax.country})`, pdfMoney(order.tax.amount, currency)]);
+    }
+    if (order.extraAmount > 0) rows.push(['Extra support', pdfMoney(order.extraAmount, currency)]);
+
+    const total = roundMoney((order.totalAmount || 0) + (order.creditApplied || 0));
+    rows.push(['Total', pdfMoney(total, currency)]);
+    if (order.creditApplied > 0) {
+        rows.push(['Paid with store credit', `-${pdfMoney(order.creditApplied, currency)}`]);
+        rows.push(['Amount paid', pdfMoney(order.totalAmount, currency)]);
+    }
+    return rows;
+}
+
+const COLUMNS = { description: 50, quantity: 330, unitPrice: 380, amount: 470 };
+const PAGE_BOTTOM = 760;
+
+// order: coupon populated ho toh code bhi dikhta hai. Returns Promise<Buffer>
+function renderInvoicePdf(invoice, order) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `Invoice ${formatInvoiceNumber(invoice.number)}`, Author: invoice.seller.name },
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const currency = order.currency || 'USD';
+        const issued = invoice.issuedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+        doc.fontSize(22).font('Helvetica-Bold').text('INVOICE', 50, 50);
+        doc.fontSize(10).font('Helvetica')
+            .text(`Invoice no: ${formatInvoiceNumber(invoice.number)}`, 350, 52, { align: 'right' })
+            .text(`Date: ${issued}`, { align: 'right' })
+            .text(`Order: ${order._id}`, { align: 'right' });
+
+        // Seller (left) aur buyer (right)
+        const partyTop = 120;
+        const seller = [invoice.seller.name, invoice.seller.address, invoice.seller.email,
+            invoice.seller.taxId ? `Tax ID: ${invoice.seller.taxId}` : null].filter(Boolean);
+        const buyer = [invoice.buyer.name, invoice.buyer.email,
+            invoice.buyer.country ? `Country: ${invoice.buyer.country}` : null].filter(Boolean);
+
+        doc.font('Helvetica-Bold').text('From', 50, partyTop);
+        doc.font('Helvetica').text(seller.join('\n'), 50, partyTop + 15, { width: 230 });
+        doc.font('Helvetica-Bold').text('Bill to', 320, partyTop);
+        doc.font('Helvetica').text(buyer.join('\n'), 320, partyTop + 15, { width: 225 });
+
+        let y = Math.max(doc.y, partyTop + 75) + 25;
+        const header = () => {
+            doc.font('Helvetica-Bold').fontSize(10);
+            doc.text('Description', COLUMNS.description, y);
+            doc.text('Qty', COLUMNS.quantity, y, { width: 40, align: 'right' });
+            doc.text('Unit price', COLUMNS.unitPrice, y, { width: 80, align: 'right' });
+            doc.text('Amount', COLUMNS.amount, y, { width: 75, align: 'right' });
+            y += 15;
+            doc.moveTo(50, y).lineTo(545, y).stroke();
+            y += 8;
+            doc.font('Helvetica');
+        };
+        header();
+
+        for (const item of order.items) {
+            const description = lineDescription(item);
+            const height = doc.heightOfString(description, { width: 270 });
+            if (y + height > PAGE_BOTTOM) {
+                doc.addPage();
+                y = 50;
+                header();
+            }
+
+            const quantity = item.quantity || 1;
+            doc.text(description, COLUMNS.description, y, { width: 270 });
+            doc.text(String(quantity), COLUMNS.quantity, y, { width: 40, align: 'right' });
+            doc.text(pdfMoney(item.price, currency), COLUMNS.unitPrice, y, { width: 80, align: 'right' });
+            doc.text(pdfMoney(roundMoney(item.price * quantity), currency), COLUMNS.amount, y, { width: 75, align: 'right' });
+            y += height + 10;
+        }
+
+        const rows = totalRows(order);
+        if (y + rows.length * 18 + 20 > PAGE_BOTTOM) {
+            doc.addPage();
+            y = 50;
+        }
+        doc.moveTo(300, y).lineTo(545, y).stroke();
+        y += 10;
+        for (const [label, value] of rows) {
+            const bold = label === 'Total' || label === 'Amount paid';
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+            doc.text(label, 300, y, { width: 160 });
+            doc.text(value, COLUMNS.amount - 20, y, { width: 95, align: 'right' });
+            y += 18;
+        }
+
+        doc.font('Helvetica').fontSize(8).fillColor('#666666')
+            .text(`All amounts in ${currency}.`, 50, y + 20, { width: 495 });
+
+        doc.end();
+    });
+}
+
+// Invoice (zarurat ho toh issue karke) + PDF — download routes aur receipt email dono isi se
+// Returns null agar order abhi invoiceable nahi
+async function buildOrderInvoice(order) {
+    const invoice = await issueInvoice(order);
+    if (!invoice) return null;
+
+    const full = await Order.findById(order._id).populate('coupon', 'code');
+    const pdf = await renderInvoicePdf(invoice, full);
+    return { invoice, pdf, filename: invoiceFilename(invoice), number: formatInvoiceNumber(invoice.number) };
+}
+
+module.exports = {
+    isInvoiceable,
+    formatInvoiceNumber,
+    issueInvoice,
+    renderInvoicePdf,
+    buildOrderInvoice,
+};
@@ -0,0 +1,4 @@
+// 2 decimal tak round — floating point ke 0.1 + 0.2 jaise issues amounts mein na aayein
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+module.exports = { roundMoney };
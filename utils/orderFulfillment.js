@@ -0,0 +1,86 @@
+const Order = require('../models/Order');
+const { sendTemplateEmail } = require('../emails');
+const { frontendUrl } = require('../emails/helpers');
+const { grantOrderEntitlements } = require('./entitlements');
+const { recordCouponRedemption } = require('./coupons');
+const { createOrderGifts } = require('./gifts');
+const { settleOrderCredit, issueOrderGiftCards } = require('./credit');
+const { issueInvoice, buildOrderInvoice } = require('./invoices');
+
+function buildReceiptData(order, invoiceNumber = null) {
+    const items = order.items.map(item => ({
+        title: item.title,
+        artist: item.artist,
+        version: item.version,
+        quantity: item.quantity || 1,
+        price: Number(item.price) || 0,
+        giftFor: item.gift?.recipientEmail || null,
+    }));
+    const subtotal = order.baseAmount ?? items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+    return {
+        name: order.user.name,
+        orderId: order._id.toString(),
+        orderDate: (order.completedAt || order.createdAt).toLocaleDateString('en-US', {
+            year: 'numeric', month: 'long', day: 'numeric',
+        }),
+        items,
+        subtotal,
+        discount: order.discountAmount || 0,
+        couponCode: order.coupon?.code || null,
+        extraAmount: order.extraAmount || 0,
+        tax: order.tax?.amount || 0,
+        taxLabel: order.tax?.amount ? `${order.tax.name || 'Tax'} (${order.tax.rate}%, ${order.tax.country})` : null,
+        creditApplied: order.creditApplied || 0,
+        total: order.totalAmount,
+        currency: order.currency || 'USD',
+        invoiceNumber,
+        libraryUrl: frontendUrl('/library'),
+    };
+}
+
+// receiptSentAt claim karke bhejo — capture route aur webhook saath chalein toh bhi ek hi email
+async function sendOrderReceipt(orderId) {
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, receiptSentAt: null },
+        { receiptSentAt: new Date() },
+        { new: true }
+    ).populate('user', 'name email').populate('coupon', 'code');
+
+    if (!order || !order.user) return;
+
+    // Invoice PDF attach — ban na sake toh bhi receipt jaye (customer baad mein download kar sakta hai)
+    let invoice = null;
+    try {
+        invoice = await buildOrderInvoice(order);
+    } catch (err) {
+        console.error('Invoice attachment error:', err);
+    }
+
+    try {
+        await sendTemplateEmail(
+            order.user.email,
+            'orderReceipt',
+            buildReceiptData(order, invoice?.number),
+            invoice ? { attachments: [{ filename: invoice.filename, content: invoice.pdf, contentType: 'application/pdf' }] } : {}
+        );
+    } catch (err) {
+        // Claim chhod do taaki baad mein dobara try ho sake
+        await Order.updateOne({ _id: order._id }, { receiptSentAt: null });
+        throw err;
+    }
+}
+
+// Order complete hone ke baad ke side effects — har completion path (capture, webhook, free-order) yahin aata hai
+async function fulfillOrder(order) {
+    await grantOrderEntitlements(order);
+    await recordCouponRedemption(order);
+    await createOrderGifts(order);
+    await settleOrderCredit(order);
+    await issueOrderGiftCards(order);
+    // Number completion ke order mein milta hai — receipt email fail ho toh bhi invoice ban chuka hota hai
+    await issueInvoice(order).catch(err => console.error('Issue invoice error:', err));
+    sendOrderReceipt(order._id).catch(err => console.error('Order receipt email error:', err));
+}
+
+module.exports = { buildReceiptData, sendOrderReceipt, fulfillOrder };
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { fulfillOrder } = require('./orderFulfillment');
+const { revokeOrderEntitlements } = require('./entitlements');
+const { releaseCouponReservation } = require('./coupons');
+const { revokeOrderGifts } = require('./gifts');
+const { returnOrderCredit, revokeOrderGiftCards } = require('./credit');
+
+// Order status transitions. Har update sirf allowed source status se hota hai,
+// isliye capture route aur webhook dono chalein toh bhi transition ek hi baar hoga.
+// Sab functions updated order return karte hain, ya null agar transition nahi hua.
+// Order (paymentProvider, providerOrderId) se milta hai — PayPal order id ya Stripe Checkout Session id
+
+async function completeOrder(provider, providerOrderId, { paymentId, paymentDetails }) {
+    const order = await Order.findOneAndUpdate(
+        { paymentProvider: provider, providerOrderId, status: { $in: ['pending', 'failed'] } },
+        {
+            status: 'completed',
+            completedAt: new Date(),
+            providerPaymentId: paymentId || null,
+            paymentDetails,
+        },
+        { new: true }
+    );
+
+    if (order) await fulfillOrder(order);
+    return order;
+}
+
+async function failOrder(provider, providerOrderId, paymentDetails) {
+    const order = await Order.findOneAndUpdate(
+        { paymentProvider: provider, providerOrderId, status: 'pending' },
+        { status: 'failed', paymentDetails },
+        { new: true }
+    );
+
+    if (order) {
+        await releaseCouponReservation(order._id);
+        await returnOrderCredit(order._id);
+    }
+    return order;
+}
+
+// Refund ko order par record karo. Same providerRefundId dobara aaye (admin route + webhook) toh no-op.
+// Poora amount refund ho gaya toh sab items refunded, warna sirf itemIds wale.
+// Push, refundedAmount, items.refunded aur status ek hi atomic pipeline update mein — do refunds saath aayein
+// (admin route + alag id wala webhook) toh bhi status kabhi purane refundedAmount se nahi likha jata
+async function recordOrderRefund(match, { providerRefundId, amount, reason = null, itemIds = [], source = 'admin', refundedBy = null }) {
+    const refund = {
+        _id: new mongoose.Types.ObjectId(),
+        providerRefundId,
+        amount,
+        reason,
+        itemIds: itemIds.map(String),
+        source,
+        refundedBy,
+        createdAt: new Date(),
+    };
+    const refundedAmount = { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] };
+    const fullyRefunded = { $gte: [refundedAmount, { $subtract: ['$totalAmount', 0.005] }] };
+
+    const order = await Order.findOneAndUpdate(
+        { ...match, status: { $ne: 'refunded' }, 'refunds.providerRefundId': { $ne: providerRefundId } },
+        [{
+            $set: {
+                refunds: { $concatArrays: [{ $ifNull: ['$refunds', []] }, [{ $literal: refund }]] },
+                refundedAmount,
+                status: { $cond: [fullyRefunded, 'refunded', 'partially_refunded'] },
+                items: {
+                    $map: {
+                        input: '$items',
+                        as: 'item',
+                        in: {
+                            $mergeObjects: ['$$item', {
+                                refunded: {
+                                    $or: [
+                                        { $eq: ['$$item.refunded', true] },
+                                        fullyRefunded,
+                                        { $in: [{ $toString: '$$item._id' }, { $literal: refund.itemIds }] },
+                                    ],
+                                },
+                            }],
+                        },
+                    },
+                },
+            },
+        }],
+        { new: true }
+    );
+    if (!order) return null;
+
+    const fullyRefundedNow = order.status === 'refunded';
+    const revokedItemIds = order.items
+        .filter(item => fullyRefundedNow || refund.itemIds.includes(item._id.toString()))
+        .map(item => item._id);
+
+    await revokeOrderEntitlements(order, revokedItemIds, reason || 'refunded');
+    await revokeOrderGifts(order._id, revokedItemIds);
+    await revokeOrderGiftCards(order._id, revokedItemIds);
+    // Partial refund sirf provider wala hissa lautata hai; poora refund hua toh checkout par laga credit bhi wapas
+    if (fullyRefundedNow) await returnOrderCredit(order._id, 'order_refund');
+
+    return order;
+}
+
+module.exports = { completeOrder, failOrder, recordOrderRefund };
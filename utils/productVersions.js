@@ -0,0 +1,210 @@
+const mongoose = require('mongoose');
+const { describeObject } = require('./r2Storage');
+const { parsePriceList, priceIn, convertFromBase } = require('./currency');
+const { roundMoney } = require('./money');
+
+// fixed: price hi price | free: hamesha 0 | pwyw: price = minimum, buyer apna amount chunta hai (suggestedPrice default)
+const PRICING_MODES = ['fixed', 'free', 'pwyw'];
+
+// Pay-what-you-want amount ki upper limit (base currency) — typo se 10000 na lag jaye
+const PWYW_MAX_BASE_AMOUNT = 1000;
+
+// Admin ka version input validate + clean karo — product create/update aur version routes sab yahi use karte hain
+// partial: sirf bheje gaye fields check hote hain (single version update ke liye)
+// Returns { version } ya { error }
+function parseVersionInput(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        return { error: 'Version must be an object' };
+    }
+
+    const version = {};
+    const has = (field) => !partial || input[field] !== undefined;
+
+    if (has('name')) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name) return { error: 'Version name is required' };
+        version.name = name;
+    }
+
+    const label = version.name || 'version';
+
+    if (has('pricingMode')) {
+        const mode = input.pricingMode === undefined || input.pricingMode === null || input.pricingMode === '' ? 'fixed' : input.pricingMode;
+        if (!PRICING_MODES.includes(mode)) {
+            return { error: `Version "${label}" pricingMode must be one of: ${PRICING_MODES.join(', ')}` };
+        }
+        version.pricingMode = mode;
+    }
+
+    // ✅ price 0 bhi valid hai; free version ki price hamesha 0
+    if (version.pricingMode === 'free') {
+        version.price = 0;
+        version.prices = [];
+    } else if (has('price')) {
+        const price = Number(input.price);
+        if (input.price === '' || input.price === null || input.price === undefined || isNaN(price) || price < 0) {
+            return { error: `Version "${label}" price is invalid` };
+        }
+        version.price = price;
+    }
+
+    // prices: { EUR: 9.99 } — bheja ho tabhi badalta hai, warna purani explicit prices rehti hain
+    if (input.prices !== undefined && version.pricingMode !== 'free') {
+        const parsed = parsePriceList(input.prices, `Version "${label}" prices`);
+        if (parsed.error) return { error: parsed.error };
+        version.prices = parsed.prices;
+    }
+
+    // suggestedPrice (base currency) sirf pwyw ke liye — null/'' se hatta hai
+    if (input.suggestedPrice !== undefined) {
+        const suggested = Number(input.suggestedPrice);
+        if (input.suggestedPrice === null || input.suggestedPrice === '') {
+            version.suggestedPrice = null;
+        } else if (isNaN(suggested) || suggested < 0) {
+            return { error: `Version "${label}" suggestedPrice is invalid` };
+        } else {
+            version.suggestedPrice = suggested;
+        }
+    }
+    if (version.pricingMode && version.pricingMode !== 'pwyw') {
+        version.suggestedPrice = null;
+    }
+
+    const pricingError = versionPricingError(version, label);
+    if (pricingError) return { error: pricingError };
+
+    if (has('r2MusicFile')) {
+        const r2File = typeof input.r2MusicFile === 'string' ? input.r2MusicFile.trim() : '';
+        if (!r2File) return { error: `Version "${label}" r2MusicFile is required` };
+        version.r2MusicFile = r2File;
+        version.fileSize = input.fileSize ?? null;
+        version.mimeType = input.mimeType ?? null;
+        version.checksum = input.checksum ?? null;
+    }
+
+    if (has('features')) {
+        version.features = Array.isArray(input.features)
+            ? input.features.filter(f => typeof f === 'string' && f.trim())
+            : [];
+    }
+
+    return { version };
+}
+
+// Free version ki price 0, pwyw ka suggested price minimum se kam nahi — partial update ke baad merged version par bhi chalao
+function versionPricingError(version, label = version.name || 'version') {
+    if (version.pricingMode === 'free' && version.price > 0) {
+        return `Version "${label}" is free — set pricingMode to fixed or pwyw to charge for it`;
+    }
+    if (version.pricingMode !== 'pwyw') return null;
+    if (version.suggestedPrice !== null && version.suggestedPrice !== undefined
+        && version.price !== undefined && version.suggestedPrice < version.price) {
+        return `Version "${label}" suggestedPrice cannot be below its minimum price`;
+    }
+    return null;
+}
+
+// Cart line ki price pricing ki currency mein — fixed: catalog price, free: 0, pwyw: buyer ka chosenAmount
+// chosenAmount na ho toh suggested price (warna minimum). Returns { pricingMode, price, minimumPrice, chosenAmount } ya { error }
+function priceVersionLine(version, chosenAmount, pricing) {
+    const pricingMode = version.pricingMode || 'fixed';
+    const minimumPrice = pricingMode === 'free' ? 0 : priceIn(version.price, version.prices, pricing);
+    if (pricingMode !== 'pwyw') {
+        return { pricingMode, price: minimumPrice, minimumPrice, chosenAmount: null };
+    }
+
+    let amount;
+    if (chosenAmount === undefined || chosenAmount === null || chosenAmount === '') {
+        const suggested = version.suggestedPrice !== null && version.suggestedPrice !== undefined
+            ? convertFromBase(version.suggestedPrice, pricing.rate)
+            : minimumPrice;
+        amount = Math.max(suggested, minimumPrice);
+    } else {
+        amount = Number(chosenAmount);
+        if (!Number.isFinite(amount) || roundMoney(amount) !== amount) {
+            return { error: 'amount must be a number with at most 2 decimals' };
+        }
+        if (amount < minimumPrice) {
+            return { error: `the minimum price is ${minimumPrice.toFixed(2)} ${pricing.currency}` };
+        }
+        const maximum = Math.max(convertFromBase(PWYW_MAX_BASE_AMOUNT, pricing.rate), minimumPrice);
+        if (amount > maximum) {
+            return { error: `the maximum amount is ${maximum.toFixed(2)} ${pricing.currency}` };
+        }
+    }
+
+    return { pricingMode, price: amount, minimumPrice, chosenAmount: amount };
+}
+
+// versionId (stable) se version dhoondo — purane clients ke liye numeric index bhi chalta hai
+function findVersion(product, ref) {
+    if (ref === undefined || ref === null || ref === '') return null;
+    if (mongoose.Types.ObjectId.isValid(String(ref)) && String(ref).length === 24) {
+        return product.versions.id(ref);
+    }
+    const index = Number(ref);
+    return Number.isInteger(index) ? product.versions[index] || null : null;
+}
+
+// Versions ke r2MusicFile bucket mein check karo, size/type bhar do. Missing keys return karta hai.
+async function attachObjectInfo(versions) {
+    const missingKeys = [];
+    for (const version of versions) {
+        const key = version.r2MusicFile?.trim();
+        if (!key) continue;
+
+        const info = await describeObject(key);
+        if (!info) {
+            missingKeys.push(key);
+            continue;
+        }
+        version.fileSize = version.fileSize ?? info.size;
+        version.mimeType = version.mimeType ?? info.mimeType;
+    }
+    return missingKeys;
+}
+
+// Parsed fields existing version par lagao — file key same rahe toh purani size/checksum info mat mitao
+function applyVersionFields(version, fields) {
+    const update = { ...fields };
+    if (update.r2MusicFile === undefined || update.r2MusicFile === version.r2MusicFile) {
+        delete update.fileSize;
+        delete update.mimeType;
+        delete update.checksum;
+    }
+    version.set(update);
+}
+
+// PUT /api/products/:id ka pura versions array — _id wale in-place update, bina _id wale naye,
+// payload se gayab purane versions delete nahi hote, retire hokar end mein rehte hain (buyers download kar sakein)
+function applyVersionList(product, versions) {
+    const keptIds = new Set();
+    const ordered = versions.map(({ _id, ...fields }) => {
+        const existing = _id ? product.versions.id(_id) : null;
+        if (!existing) return fields;
+        keptIds.add(existing._id.toString());
+        applyVersionFields(existing, fields);
+        return existing;
+    });
+
+    const dropped = product.versions.filter(v => !keptIds.has(v._id.toString()));
+    for (const version of dropped) {
+        if (version.isActive !== false) {
+            version.isActive = false;
+            version.retiredAt = new Date();
+        }
+    }
+
+    product.versions = [...ordered, ...dropped];
+}
+
+module.exports = {
+    PRICING_MODES,
+    parseVersionInput,
+    versionPricingError,
+    priceVersionLine,
+    findVersion,
+    attachObjectInfo,
+    applyVersionFields,
+    applyVersionList,
+};
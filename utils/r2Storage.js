@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const s3 = require('../config/r2');
+
+const BUCKET = () => process.env.R2_BUCKET_NAME;
+
+// Collision-safe key: folder/<productId>/<uuid>-<clean-filename>
+function buildObjectKey(folder, originalName, productId) {
+    const ext = path.extname(originalName).toLowerCase();
+    const base = path.basename(originalName, path.extname(originalName))
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .substring(0, 60) || 'file';
+    return [folder, productId || 'unassigned', `${crypto.randomUUID()}-${base}${ext}`].join('/');
+}
+
+// Temp file ko R2 mein stream karo, saath mein sha256 nikaalo.
+// s3.upload 5MB+ files ko khud multipart mein todta hai (parts parallel upload hote hain).
+async function uploadFileToR2(file, { folder = 'music', productId } = {}) {
+    const key = buildObjectKey(folder, file.originalname, productId);
+    const hash = crypto.createHash('sha256');
+
+    const hashing = new Transform({
+        transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+        }
+    });
+
+    try {
+        const body = fs.createReadStream(file.path).pipe(hashing);
+
+        // Checksum stream khatam hone par hi pata chalta hai, isliye metadata mein nahi — DB mein rakhte hain
+        await s3.upload(
+            {
+                Bucket: BUCKET(),
+                Key: key,
+                Body: body,
+                ContentType: file.mimetype,
+                Metadata: { 'original-name': encodeURIComponent(file.originalname) },
+            },
+            { partSize: 10 * 1024 * 1024, queueSize: 4 }
+        ).promise();
+
+        return {
+            key,
+            size: file.size,
+            mimeType: file.mimetype,
+            checksum: hash.digest('hex'),
+            originalName: file.originalname,
+        };
+    } finally {
+        fs.promises.unlink(file.path).catch(() => {});
+    }
+}
+
+async function putBufferToR2(key, buffer, mimeType) {
+    await s3.putObject({ Bucket: BUCKET(), Key: key, Body: buffer, ContentType: mimeType }).promise();
+    return { key, size: buffer.length, mimeType };
+}
+
+// Range request ke liye R2 object stream (range: { start, end } ya null)
+function getObjectStream(key, range) {
+    const params = { Bucket: BUCKET(), Key: key };
+    if (range) params.Range = `bytes=${range.start}-${range.end}`;
+    return s3.getObject(params).createReadStream();
+}
+
+// Object ka size/type, ya null agar bucket mein nahi hai
+async function describeObject(key) {
+    try {
+        const head = await s3.headObject({ Bucket: BUCKET(), Key: key }).promise();
+        return { key, size: head.ContentLength, mimeType: head.ContentType };
+    } catch (err) {
+        if (err.code === 'NotFound' || err.code === 'NoSuchKey' || err.statusCode === 404) return null;
+        throw err;
+    }
+}
+
+module.exports = {
+    buildObjectKey,
+    uploadFileToR2,
+    putBufferToR2,
+    getObjectStream,
+    describeObject,
+};
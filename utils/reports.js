@@ -0,0 +1,17 @@
+// Admin reports ke shared helpers
+
+// ?from=&to= → Mongo date filter ({ $gte, $lte }), dono na hon toh null. Returns { range } ya { error }
+function parseDateRange(query) {
+    const range = {};
+    for (const [key, op] of [['from', '$gte'], ['to', '$lte']]) {
+        if (!query[key]) continue;
+        const date = new Date(query[key]);
+        if (isNaN(date.getTime())) {
+            return { error: `Invalid ${key} date` };
+        }
+        range[op] = date;
+    }
+    return { range: Object.keys(range).length > 0 ? range : null };
+}
+
+module.exports = { parseDateRange };
@@ -0,0 +1,62 @@
+const TaxRate = require('../models/TaxRate');
+const { roundMoney } = require('./money');
+
+// Buyer ka country — billing country (buyer ne diya) + IP country (proxy/CDN header) dono evidence ke taur par save hote hain
+// Dono hon aur alag hon toh billing country chalti hai, par conflict flag order par rehta hai (manual review ke liye)
+// Geo/IP headers client bhi bhej sakta hai — isliye sirf TRUST_PROXY (app 'trust proxy') set ho tab padhte hain
+
+const COUNTRY_REGEX = /^[A-Z]{2}$/;
+
+const normalizeCountry = (value) => {
+    const country = typeof value === 'string' ? value.trim().toUpperCase() : '';
+    return COUNTRY_REGEX.test(country) ? country : null;
+};
+
+const behindTrustedProxy = (req) => !!req.app?.get('trust proxy');
+
+// Cloudflare / Vercel / custom proxy ka geo header — XX/T1 (unknown/Tor) ko evidence nahi maante
+function ipCountry(req) {
+    if (!behindTrustedProxy(req)) return null;
+    const header = req.headers['cf-ipcountry'] || req.headers['x-vercel-ip-country'] || req.headers['x-country-code'];
+    const country = normalizeCountry(header);
+    return country && !['XX', 'T1'].includes(country) ? country : null;
+}
+
+// req.ip — Express 'trust proxy' ke hisaab se X-Forwarded-For padhta hai, warna socket address
+const clientIp = (req) => req.ip || null;
+
+// Returns { country, billingCountry, ipCountry, ipAddress, resolvedFrom, conflict } — country null ho sakta hai
+function collectTaxEvidence(req, billingInput) {
+    const billingCountry = normalizeCountry(billingInput);
+    const fromIp = ipCountry(req);
+    const country = billingCountry || fromIp;
+
+    return {
+        country,
+        billingCountry,
+        ipCountry: fromIp,
+        ipAddress: clientIp(req),
+        resolvedFrom: billingCountry ? 'billing' : fromIp ? 'ip' : 'none',
+        conflict: !!(billingCountry && fromIp && billingCountry !== fromIp),
+    };
+}
+
+// Koi active tax rate hai? Nahi toh country ke bina bhi checkout chalta hai (tax 0)
+const hasActiveTaxRates = async () => !!(await TaxRate.exists({ isActive: true }));
+
+// Tax exclusive hai — taxableAmount ke upar judta hai. Returns { country, name, rate, taxableAmount, amount }
+async function calculateTax(country, taxableAmount) {
+    const taxRate = country ? await TaxRate.findOne({ country, isActive: true }).lean() : null;
+    const rate = taxRate ? taxRate.rate : 0;
+    const base = roundMoney(Math.max(taxableAmount, 0));
+
+    return {
+        country: country || null,
+        name: taxRate ? taxRate.name : null,
+        rate,
+        taxableAmount: base,
+        amount: roundMoney(base * rate / 100),
+    };
+}
+
+module.exports = { COUNTRY_REGEX, normalizeCountry, collectTaxEvidence, hasActiveTaxRates, calculateTax };